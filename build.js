@@ -2,21 +2,54 @@
 const fs = require('fs');
 const path = require('path');
 
+// 按依赖顺序排列：被依赖的模块在前
+const MODULES = [
+  ['Config Store', './src/config-store.js'],
+  ['Timeouts', './src/timeouts.js'],
+  ['Providers', './src/providers.js'],
+  ['Raw Socket HTTP', './src/raw-http.js'],
+  ['Socket Transport Layer', './src/socket-transport.js'],
+  ['SSE Parser', './src/sse-parser.js'],
+  ['Model Mapping', './src/model-mapping.js'],
+  ['Model List', './src/model-list.js'],
+  ['Fallback', './src/fallback.js'],
+  ['Safety', './src/safety.js'],
+  ['Key Pool', './src/key-pool.js'],
+  ['Tokens', './src/tokens.js'],
+  ['Rate Limit', './src/rate-limit.js'],
+  ['Usage', './src/usage.js'],
+  ['Usage Store', './src/usage-store.js'],
+  ['Format Converter', './src/format-converter.js'],
+];
+
+// 外部模块（如cloudflare:sockets）的import不能删，收集后统一放在worker.js开头
+const externalImports = new Set();
+
+function stripImports(source) {
+  return source
+    .replace(/^import.*from\s*["'](?!\.)[^"']+["'];?\n/gm, (line) => {
+      externalImports.add(line.trim());
+      return '';
+    })
+    .replace(/import.*from.*["'].*["'];?\n/g, ''); // 移除模块间的import语句
+}
+
+function readModule(file) {
+  return stripImports(fs.readFileSync(file, 'utf8'))
+    .replace(/export\s+/g, ''); // 移除export
+}
+
 function buildWorker() {
   console.log('🔨 Building dual-mode AI proxy worker...');
 
   // 读取源文件
-  const socketTransport = fs.readFileSync('./src/socket-transport.js', 'utf8')
-    .replace(/import.*from.*["'].*["'];?\n/g, '') // 移除import语句
-    .replace(/export\s+/g, ''); // 移除export
-
-  const formatConverter = fs.readFileSync('./src/format-converter.js', 'utf8')
-    .replace(/import.*from.*["'].*["'];?\n/g, '')
-    .replace(/export\s+/g, '');
+  const modules = MODULES
+    .map(([title, file]) => `// ===== ${title} =====\n${readModule(file)}`)
+    .join('\n');
 
-  const index = fs.readFileSync('./src/index.js', 'utf8')
-    .replace(/import.*from.*["'].*["'];?\n/g, '')
-    .replace(/export\s+default\s+/, '');
+  // 入口模块的default export改写为handler常量
+  const index = stripImports(fs.readFileSync('./src/index.js', 'utf8'))
+    .replace(/export\s+default\s+/, 'const handler = ');
 
   // 合并文件内容
   const workerContent = `
@@ -24,22 +57,23 @@ function buildWorker() {
 // 双模式AI代理网关 - 支持Claude和OpenAI格式，提供Socket隐私保护
 // Generated at: ${new Date().toISOString()}
 
-// ===== Socket Transport Layer =====
-${socketTransport}
+${[...externalImports].join('\n')}
 
-// ===== Format Converter =====
-${formatConverter}
+${modules}
 
 // ===== Main Handler =====
-const handler = ${index};
+${index}
 
 // ===== Worker Export =====
 export default handler;
+
+// Durable Object类必须从入口模块导出，wrangler.toml中的绑定按类名引用
+export { RateLimiter };
 `;
 
   // 写入worker.js文件
   fs.writeFileSync('./worker.js', workerContent);
-  
+
   console.log('✅ Worker built successfully: worker.js');
   console.log('📦 File size:', Math.round(fs.statSync('./worker.js').size / 1024), 'KB');
   console.log('🚀 Ready for deployment with: wrangler deploy');
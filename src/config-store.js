@@ -0,0 +1,44 @@
+// 动态配置读取 - KV命名空间CONFIG_KV优先，其次是环境变量
+// 解析与校验后的结果缓存在isolate内：KV内容按TTL刷新，环境变量内容不变时直接复用
+
+const KV_CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map(); // kvKey → { raw, value, loadedAt }
+
+// build(parsed, source)负责校验并构造配置对象；两个来源都为空时使用fallback()
+export async function loadJsonConfig(env, { kvKey, envVar, build, fallback }) {
+  const now = Date.now();
+  const cached = cache.get(kvKey);
+  if (cached && env.CONFIG_KV && now - cached.loadedAt < KV_CACHE_TTL_MS) {
+    return cached.value;
+  }
+
+  let raw = env.CONFIG_KV ? await env.CONFIG_KV.get(kvKey) : null;
+  let source = `KV ${kvKey}`;
+  if (!raw) {
+    raw = env[envVar] || null;
+    source = envVar;
+  }
+
+  // 内容未变化时复用已解析的结果
+  if (cached && cached.raw === raw) {
+    cached.loadedAt = now;
+    return cached.value;
+  }
+
+  const value = raw ? build(parseJson(raw, source), source) : fallback();
+  cache.set(kvKey, { raw, value, loadedAt: now });
+  return value;
+}
+
+function parseJson(raw, source) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid ${source}: ${e.message}`);
+  }
+}
+
+export function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
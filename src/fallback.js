@@ -0,0 +1,102 @@
+// 重试与降级链 - 上游返回429/5xx或网络失败时，先按指数退避重试，再依次切换到备用Provider
+// 配置来源：KV(CONFIG_KV中的fallback) > 环境变量FALLBACK_CONFIG，JSON结构：
+//   {
+//     "retry": { "maxRetries": 2, "baseDelayMs": 500, "maxDelayMs": 8000 },
+//     "chains": {
+//       "claude/gemini": [
+//         { "provider": "openai", "models": { "*": "gpt-4o" }, "keyEnv": "OPENAI_API_KEY" },
+//         "anthropic"
+//       ]
+//     }
+//   }
+// chains的key为"{format}/{provider}"；每一跳可以只写Provider名称，
+// 也可以用models为这一跳单独指定模型映射（规则写法同MODEL_MAPPING），
+// keyEnv指定这一跳使用的API Key所在的Worker secret。
+import { loadJsonConfig, isPlainObject } from './config-store.js';
+import { ModelMapper, validateModelMapping } from './model-mapping.js';
+
+export const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000
+};
+
+// 值得重试或降级的上游状态码；其余4xx换一个上游也不会成功
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504, 529];
+
+export function loadFallbackConfig(env, providers) {
+  return loadJsonConfig(env, {
+    kvKey: 'fallback',
+    envVar: 'FALLBACK_CONFIG',
+    build: (config, source) => buildFallbackConfig(config, providers, source),
+    fallback: () => ({ retry: DEFAULT_RETRY_POLICY, chains: {} })
+  });
+}
+
+function buildFallbackConfig(config, providers, source) {
+  if (!isPlainObject(config)) {
+    throw new Error(`Invalid ${source}: expected an object with "retry" and "chains"`);
+  }
+
+  const retry = { ...DEFAULT_RETRY_POLICY, ...config.retry };
+  for (const [key, value] of Object.entries(retry)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid ${source}: "retry.${key}" must be a non-negative integer`);
+    }
+  }
+
+  const chains = {};
+  for (const [route, hops] of Object.entries(config.chains || {})) {
+    const [format, provider] = route.split('/');
+    if (!['claude', 'openai'].includes(format) || !providers.includes(provider)) {
+      throw new Error(`Invalid ${source}: chain key "${route}" must be "{format}/{provider}"`);
+    }
+    if (!Array.isArray(hops)) {
+      throw new Error(`Invalid ${source}: "chains.${route}" must be an array of hops`);
+    }
+    chains[route] = hops.map(hop => buildHop(format, typeof hop === 'string' ? { provider: hop } : hop, providers, source));
+  }
+
+  return { retry, chains };
+}
+
+function buildHop(format, hop, providers, source) {
+  if (!isPlainObject(hop) || !providers.includes(hop.provider)) {
+    throw new Error(`Invalid ${source}: fallback hop ${JSON.stringify(hop)} must name a known provider`);
+  }
+  let modelMapper = null;
+  if (hop.models) {
+    const mapping = { [format]: { [hop.provider]: hop.models } };
+    validateModelMapping(mapping, providers, source);
+    modelMapper = new ModelMapper(mapping);
+  }
+  return { provider: hop.provider, modelMapper, keyEnv: hop.keyEnv };
+}
+
+export function isRetryableStatus(status) {
+  return RETRYABLE_STATUS.includes(status);
+}
+
+// 下一次重试前的等待时间：带full jitter的指数退避；上游给出Retry-After时以它为准。
+// 返回null表示Retry-After超过上限，不值得在这个上游上继续等待。
+export function retryDelay(attempt, retryAfter, policy) {
+  const retryAfterMs = parseRetryAfter(retryAfter);
+  if (retryAfterMs !== null) {
+    return retryAfterMs <= policy.maxDelayMs ? retryAfterMs : null;
+  }
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+// Retry-After可以是秒数或HTTP日期，返回毫秒
+export function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
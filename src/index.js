@@ -1,45 +1,21 @@
 // 主路由逻辑 - 遵循"好品味"原则的极简实现
 import { SocketTransport } from './socket-transport.js';
-import { FormatConverter } from './format-converter.js';
+import { FormatConverter, ConversionError } from './format-converter.js';
+import { loadModelMapper } from './model-mapping.js';
+import { loadProviders, buildProviderUrl, AUTH_SCHEMES, CREDENTIAL_HEADERS } from './providers.js';
+import { loadFallbackConfig, isRetryableStatus, retryDelay, parseRetryAfter, sleep } from './fallback.js';
+import { loadKeyPools, maskKey } from './key-pool.js';
+import { loadTokenRegistry } from './tokens.js';
+import { RateLimitClient, rateLimitHeaders } from './rate-limit.js';
+import { meterResponse } from './usage.js';
+import { UsageStore, loadPriceTable, parseUsageQuery } from './usage-store.js';
+import { fetchUpstreamModels, formatModelList, formatModel } from './model-list.js';
+import { loadSafetyPolicy } from './safety.js';
+import { loadTimeouts, RequestDeadline, ClientAbortError, guardStream, whenAborted } from './timeouts.js';
 
-// Provider URL映射
-const PROVIDER_URLS = {
-  'gemini': 'https://generativelanguage.googleapis.com/v1beta',
-  'openai': 'https://api.openai.com/v1',
-  'anthropic': 'https://api.anthropic.com/v1'
-};
-
-// 模型映射 - 遵循需求文档的双层结构
-const MODEL_MAPPING = {
-  // Claude格式输入的模型映射
-  'claude': {
-    'gemini': {
-      'gemini-2.5-pro': 'models/gemini-2.0-flash-exp',
-      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
-    },
-    'openai': {
-      'gpt-4o': 'gpt-4o',
-    },
-    'anthropic': {
-        'claude-3-5-sonnet-20240620': 'claude-3-5-sonnet-20240620',
-    }
-  },
-  // OpenAI格式输入的模型映射
-  'openai': {
-    'gemini': {
-      'gemini-pro': 'models/gemini-pro',
-      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
-    },
-    'openai': {
-      'gpt-4o': 'gpt-4o',
-      'gpt-4o-mini': 'gpt-4o-mini',
-    },
-    'anthropic': {
-      'claude-3-sonnet': 'claude-3-5-sonnet-20240620',
-      'claude-3-haiku': 'claude-3-haiku-20240725'
-    }
-  }
-};
+// 响应头：实际完成请求的Provider与上游模型
+const PROVIDER_HEADER = 'X-Shadoway-Provider';
+const MODEL_HEADER = 'X-Shadoway-Model';
 
 export default {
   async fetch(request, env, ctx) {
@@ -47,69 +23,303 @@ export default {
     const config = {
       AUTH_TOKEN: env.AUTH_TOKEN || 'your-secure-token',
       DEBUG_MODE: env.DEBUG_MODE === 'true',
-      DEFAULT_PROVIDER: env.DEFAULT_PROVIDER || 'gemini'
+      DEFAULT_PROVIDER: env.DEFAULT_PROVIDER || 'gemini',
+      LIST_UPSTREAM_MODELS: env.LIST_UPSTREAM_MODELS === 'true'
     };
 
     try {
-      return await handleRequest(request, config);
+      return await handleRequest(request, config, env, ctx);
     } catch (error) {
+      // 客户端断开是正常情况：不记错误日志，响应也没人收
+      if (error instanceof ClientAbortError) {
+        if (config.DEBUG_MODE) console.log('[Proxy] Client disconnected');
+        return new Response(null, { status: error.status });
+      }
       console.error('Proxy error:', error);
-      return new Response(JSON.stringify({ 
-        error: error.message,
-        type: 'proxy_error'
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      // ConversionError等客户端错误自带status，其余视为网关内部错误
+      return new FormatConverter().errorResponse(detectFormat(request.url), error.status || 500, error.message);
     }
   }
 };
 
 // 核心处理函数 - 消除所有特殊情况的统一逻辑
-async function handleRequest(request, config) {
-  // 只支持POST请求
-  if (request.method !== 'POST') {
-    return new Response('Method not allowed', { status: 405 });
+async function handleRequest(request, config, env, ctx) {
+  // 管理接口：/{token}/admin/*
+  const url = new URL(request.url);
+  if (url.pathname.split('/').filter(Boolean)[1] === 'admin') {
+    return handleAdmin(request, url, config, env);
   }
 
+  // 加载Provider注册表（内置 + 配置中的自定义上游）
+  const providers = await loadProviders(env);
+
   // 解析URL：/{token}/{format}/{provider}/*
-  const { token, format, provider, endpoint, error } = parseUrl(request.url);
+  const { token, format, provider, endpoint, error } = parseUrl(request.url, providers);
   if (error) return error;
 
-  // 验证Token
-  if (token !== config.AUTH_TOKEN) {
-    return new Response('Unauthorized', { status: 401 });
+  const converter = new FormatConverter();
+
+  // 验证Token，并检查该Token能否访问这个格式和Provider（模型在解析请求体后检查）
+  const registry = await loadTokenRegistry(env, config);
+  const { tenant, error: authError } = registry.authenticate(token);
+  if (authError) {
+    return converter.errorResponse(format, 401, authError);
+  }
+  if (!tenant.allows('formats', format) || !tenant.allows('providers', provider)) {
+    return converter.errorResponse(format, 403, `Token "${tenant.name}" is not allowed to use ${format}/${provider}`);
+  }
+
+  // 模型列表：GET .../v1/models[/{id}]，SDK和IDE插件启动时会调用
+  const modelsRoute = endpointPath(endpoint).match(/^models(?:\/(.+))?$/);
+  if (request.method === 'GET' && modelsRoute) {
+    return listModels(request, format, provider, modelsRoute[1], tenant, providers, config, env);
+  }
+
+  // 其余接口只支持POST请求
+  if (request.method !== 'POST') {
+    return converter.errorResponse(format, 405, `Method ${request.method} not allowed`);
   }
 
-  // 获取API Key
+  // 获取API Key：配置了Key池的Provider使用服务端Key，客户端只需网关Token
+  const keyPools = loadKeyPools(env, Object.keys(providers));
   const apiKey = getApiKey(request.headers);
-  if (!apiKey) {
-    return new Response('Missing API key in x-api-key or authorization header', { status: 401 });
+  const needsKey = providers[provider].auth !== 'none' && !answeredLocally(endpointPath(endpoint), providers[provider].format);
+  if (!apiKey && !keyPools[provider] && needsKey) {
+    return converter.errorResponse(format, 401, 'Missing API key in x-api-key or authorization header');
+  }
+
+  // 加载模型映射（环境变量或KV，首次加载时校验）
+  config.modelMapper = await loadModelMapper(env, Object.keys(providers));
+  config.providers = providers;
+  config.timeouts = loadTimeouts(env);
+
+  // 降级链：主Provider在前，随后是该路由配置的备用Provider
+  const fallback = await loadFallbackConfig(env, Object.keys(providers));
+  config.retryPolicy = fallback.retry;
+  // Key的优先级：这一跳指定的secret > Provider的Key池 > 客户端Key（仅限同一Provider）
+  const credentials = (hopProvider, keyEnv) => {
+    if (keyEnv || keyPools[hopProvider]) tenant.assertTrusted('using server-held API keys (KEY_POOLS or fallback keyEnv)');
+    if (keyEnv) return { apiKey: env[keyEnv] };
+    if (keyPools[hopProvider]) return { keyPool: keyPools[hopProvider] };
+    return { apiKey: hopProvider === provider ? apiKey : undefined };
+  };
+  // Gemini安全设置按每一跳的路由解析，只对gemini上游生效
+  const safety = await loadSafetyPolicy(env, Object.keys(providers));
+  const chain = [
+    { provider, modelMapper: config.modelMapper, ...credentials(provider) },
+    ...(fallback.chains[`${format}/${provider}`] || []).map(hop => ({
+      provider: hop.provider,
+      modelMapper: hop.modelMapper || config.modelMapper,
+      ...credentials(hop.provider, hop.keyEnv)
+    }))
+  ].map(hop => ({ ...hop, safetySettings: safety.resolve(format, hop.provider, tenant.name) }));
+
+  // 解析请求体：body只能被读取一次，转发时使用克隆；格式错误的JSON属于客户端错误
+  const requestBody = await request.clone().json().catch(e => {
+    throw new ConversionError(`Invalid JSON body: ${e.message}`);
+  });
+  if (!tenant.allows('models', requestBody.model)) {
+    return converter.errorResponse(format, 403, `Token "${tenant.name}" is not allowed to use model ${requestBody.model}`);
   }
+  // 降级链中超出Token范围的备用Provider直接跳过，主Provider已在上面检查过
+  const scopedChain = chain.filter(hop => {
+    const allowed = tenant.allowsRoute(format, hop.provider, requestBody.model);
+    if (!allowed) console.warn(`Skipping fallback provider ${hop.provider}: outside the scope of token "${tenant.name}"`);
+    return allowed;
+  });
+
+  // 按Token限流：超出限额直接返回429，不访问上游
+  if (tenant.limits && !env.RATE_LIMITER) {
+    throw new Error(`Token "${tenant.name}" has limits but the RATE_LIMITER Durable Object binding is missing`);
+  }
+  const limiter = tenant.limits ? new RateLimitClient(env.RATE_LIMITER, tenant) : null;
+  const lease = limiter && await limiter.acquire(requestBody.stream === true);
+  if (lease && !lease.allowed) {
+    const message = `Rate limit exceeded for token "${tenant.name}": ${lease.limit}`;
+    return withHeaders(converter.errorResponse(format, 429, message), rateLimitHeaders(lease));
+  }
+
+  // 响应结束（或客户端断开）后归还流式租约、记入限额并写入用量记录
+  const usageStore = env.USAGE_DB ? new UsageStore(env.USAGE_DB) : null;
+  const startedAt = Date.now();
+  const complete = (response, usage) => {
+    if (limiter) {
+      ctx.waitUntil(limiter.complete(lease.leaseId, usage.inputTokens + usage.outputTokens)
+        .catch(e => console.error('Rate limiter update failed:', e)));
+    }
+    if (usageStore && response) {
+      ctx.waitUntil(usageStore.record({
+        tokenName: tenant.name,
+        format,
+        provider: response.headers.get(PROVIDER_HEADER) || provider,
+        // Gemini的上游模型名带models/前缀，去掉后才能和价格表、模型列表里的名称对上
+        model: (response.headers.get(MODEL_HEADER) || requestBody.model || 'unknown').replace(/^models\//, ''),
+        status: response.status,
+        stream: requestBody.stream === true,
+        ...usage,
+        latencyMs: Date.now() - startedAt
+      }).catch(e => console.error('Usage recording failed:', e)));
+    }
+  };
+
+  // OpenAI格式的流式用量只在最后一个usage chunk中：计量时总是向上游要，调用方没要的话由meterResponse去掉
+  const metering = Boolean(limiter || usageStore);
+  const hideUsage = metering && format === 'openai' && requestBody.stream === true &&
+    requestBody.stream_options?.include_usage !== true;
+  const forwardBody = hideUsage
+    ? { ...requestBody, stream_options: { ...requestBody.stream_options, include_usage: true } }
+    : requestBody;
 
   // 核心逻辑：统一的代理处理流程
-  return await proxyRequest(format, provider, endpoint, request, apiKey, config.DEBUG_MODE);
+  let response;
+  try {
+    response = await proxyRequest(format, endpoint, request, forwardBody, scopedChain, config);
+  } catch (error) {
+    complete(null, { inputTokens: 0, outputTokens: 0 });
+    throw error;
+  }
+  if (!metering) return response;
+
+  const metered = meterResponse(response, format, usage => complete(response, usage), { hideUsage });
+  return lease ? withHeaders(metered, rateLimitHeaders(lease)) : metered;
 }
 
-// URL解析 - 消除特殊情况的统一解析
-function parseUrl(url) {
+// 模型列表：映射表中的别名 + （可选）上游实时列表，只列出该Token允许使用的模型
+async function listModels(request, format, provider, modelId, tenant, providers, config, env) {
+  const converter = new FormatConverter();
+  const mapper = await loadModelMapper(env, Object.keys(providers));
+  const models = mapper.aliases(format, provider).map(id => ({ id, created: 0 }));
+
+  if (config.LIST_UPSTREAM_MODELS) {
+    const keyPool = loadKeyPools(env, Object.keys(providers))[provider];
+    if (keyPool) tenant.assertTrusted('using server-held API keys (KEY_POOLS)');
+    const apiKey = keyPool ? keyPool.acquire() : getApiKey(request.headers);
+    const deadline = new RequestDeadline({ ...loadTimeouts(env), ...providers[provider].timeouts }, request.signal);
+    deadline.start('firstByteMs');
+    try {
+      const transport = new SocketTransport(config.DEBUG_MODE);
+      const upstream = await fetchUpstreamModels(transport, request, providers[provider], apiKey, deadline);
+      // 只列出按原名转发的上游模型；被通配符规则改写的名字对调用方没有意义
+      const listed = new Set(models.map(model => model.id));
+      for (const model of upstream) {
+        const resolved = mapper.resolve(format, provider, model.id)?.replace(/^models\//, '');
+        if (resolved === model.id && !listed.has(model.id)) models.push(model);
+      }
+    } catch (error) {
+      console.warn(`Listing ${provider} models failed, returning aliases only:`, deadline.reasonFor(error));
+    } finally {
+      deadline.dispose();
+    }
+  }
+
+  const allowed = models.filter(model => tenant.allows('models', model.id));
+  if (modelId === undefined) {
+    return converter.jsonResponse(formatModelList(format, provider, allowed));
+  }
+  const model = allowed.find(model => model.id === modelId);
+  return model
+    ? converter.jsonResponse(formatModel(format, provider, model))
+    : converter.errorResponse(format, 404, `Model not found: ${modelId}`);
+}
+
+// 管理接口：
+//   GET /{token}/admin/usage - 用量报表，管理员Token可以查看全部Token，其他Token只能看到自己的用量
+//   GET /{token}/admin/headers?provider=gemini - 本次请求的请求头经过滤后实际会发给上游的样子，仅限管理员Token
+async function handleAdmin(request, url, config, env) {
+  const converter = new FormatConverter();
+  const [token, , resource] = url.pathname.split('/').filter(Boolean);
+
+  const registry = await loadTokenRegistry(env, config);
+  const { tenant, error } = registry.authenticate(token);
+  if (error) return converter.errorResponse('openai', 401, error);
+  tenant.assertTrusted('using the admin endpoints');
+
+  if (request.method !== 'GET') {
+    return converter.errorResponse('openai', 405, `Method ${request.method} not allowed`);
+  }
+  if (resource === 'usage') return usageReport(url, tenant, env);
+  if (resource === 'headers') return inspectUpstreamHeaders(request, url, tenant, config, env);
+  return converter.errorResponse('openai', 404, `Unknown admin endpoint: ${resource || ''}`);
+}
+
+async function usageReport(url, tenant, env) {
+  const converter = new FormatConverter();
+  if (!env.USAGE_DB) {
+    return converter.errorResponse('openai', 404, 'Usage accounting is disabled: bind a D1 database as USAGE_DB');
+  }
+
+  const query = parseUsageQuery(url.searchParams);
+  if (query.error) return converter.errorResponse('openai', 400, query.error);
+
+  const requested = url.searchParams.get('token');
+  if (requested && !tenant.admin && requested !== tenant.name) {
+    return converter.errorResponse('openai', 403, `Token "${tenant.name}" can only read its own usage`);
+  }
+  const tokenName = tenant.admin ? requested : tenant.name;
+
+  const prices = await loadPriceTable(env);
+  const report = await new UsageStore(env.USAGE_DB).report({ ...query, tokenName }, prices);
+  return converter.jsonResponse(report);
+}
+
+// 与转发时同一套过滤逻辑，上游认证头只显示Key的末尾几位
+async function inspectUpstreamHeaders(request, url, tenant, config, env) {
+  const converter = new FormatConverter();
+  if (!tenant.admin) {
+    return converter.errorResponse('openai', 403, `Token "${tenant.name}" is not an admin token`);
+  }
+  const providers = await loadProviders(env);
+  const provider = url.searchParams.get('provider') || config.DEFAULT_PROVIDER;
+  const providerConfig = providers[provider];
+  if (!providerConfig) {
+    return converter.errorResponse('openai', 404, `Unknown provider: ${provider}`);
+  }
+
+  const keyPool = loadKeyPools(env, Object.keys(providers))[provider];
+  const apiKey = keyPool ? keyPool.acquire() : getApiKey(request.headers);
+  const headers = new SocketTransport(config.DEBUG_MODE).buildCleanHeaders(request.headers, providerConfig, apiKey);
+  const shown = Object.fromEntries(headers);
+  const scheme = AUTH_SCHEMES[providerConfig.auth];
+  if (scheme && apiKey) {
+    shown[scheme.header.toLowerCase()] = `${scheme.prefix}${maskKey(apiKey)}`;
+  }
+
+  return converter.jsonResponse({
+    provider,
+    transport: providerConfig.transport || (providerConfig.proxy ? 'socket' : 'fetch'),
+    // 代理地址去掉认证信息
+    proxy: [].concat(providerConfig.proxy || []).map(proxy => {
+      const { protocol, host } = new URL(proxy);
+      return `${protocol}//${host}`;
+    }),
+    headers: shown,
+    // 凭据头总是由网关按Provider重新生成，即使同名同值也不是转发的客户端请求头
+    dropped: [...request.headers]
+      .filter(([name, value]) => CREDENTIAL_HEADERS.includes(name) || headers.get(name) !== value)
+      .map(([name]) => name)
+  });
+}
+
+// URL解析 - 消除特殊情况的统一解析，错误按URL中的调用方格式返回
+function parseUrl(url, providers) {
   const urlObj = new URL(url);
   const parts = urlObj.pathname.split('/').filter(Boolean);
+  const invalid = message => ({ error: new FormatConverter().errorResponse(detectFormat(url), 400, message) });
   
   if (parts.length < 3) {
-    return { error: new Response('Invalid URL format. Expected: /{token}/{format}/{provider}/*', { status: 400 }) };
+    return invalid('Invalid URL format. Expected: /{token}/{format}/{provider}/*');
   }
 
   const [token, format, provider, ...endpointParts] = parts;
   
   // 验证格式
   if (!['claude', 'openai'].includes(format)) {
-    return { error: new Response('Invalid format. Must be "claude" or "openai"', { status: 400 }) };
+    return invalid('Invalid format. Must be "claude" or "openai"');
   }
 
   // 验证Provider
-  if (!PROVIDER_URLS[provider]) {
-    return { error: new Response(`Unsupported provider: ${provider}. Supported: ${Object.keys(PROVIDER_URLS).join(', ')}`, { status: 400 }) };
+  if (!Object.prototype.hasOwnProperty.call(providers, provider)) {
+    return invalid(`Unsupported provider: ${provider}. Supported: ${Object.keys(providers).join(', ')}`);
   }
 
   const endpoint = endpointParts.join('/') + urlObj.search;
@@ -117,6 +327,12 @@ function parseUrl(url) {
   return { token, format, provider, endpoint };
 }
 
+// 从URL中取出调用方格式，用于在请求解析失败时也能返回对应格式的错误
+function detectFormat(url) {
+  const format = new URL(url).pathname.split('/').filter(Boolean)[1];
+  return format === 'claude' ? 'claude' : 'openai';
+}
+
 // 获取API Key - 统一处理
 function getApiKey(headers) {
   return headers.get('x-api-key') || 
@@ -125,29 +341,110 @@ function getApiKey(headers) {
 }
 
 // 核心代理函数 - 这里是"好品味"的体现：无特殊情况
-async function proxyRequest(format, provider, endpoint, request, apiKey, debug) {
-  const transport = new SocketTransport(debug);
+// 每个上游都走同一套流程，重试与降级只是对这套流程的循环
+async function proxyRequest(format, endpoint, request, requestBody, chain, config) {
   const converter = new FormatConverter();
+  const policy = config.retryPolicy;
+  const path = endpointPath(endpoint);
 
-  // 1. 解析请求体
-  // 为了支流式请求，我们需要克隆请求，因为body只能被读取一次
-  const requestBody = await request.clone().json();
-  
-  // 2. 模型名称映射（使用新的双层结构）
-  let finalModel = requestBody.model;
-  if (requestBody.model && MODEL_MAPPING[format] && MODEL_MAPPING[format][provider] && MODEL_MAPPING[format][provider][requestBody.model]) {
-    finalModel = MODEL_MAPPING[format][provider][requestBody.model];
-    requestBody.model = finalModel; // 更新模型名称用于后续转换
+  let lastFailure = null;
+  for (const hop of chain) {
+    const providerConfig = config.providers[hop.provider];
+    if (!hop.apiKey && !hop.keyPool && providerConfig.auth !== 'none' && !answeredLocally(path, providerConfig.format)) {
+      console.warn(`Skipping fallback provider ${hop.provider}: no API key configured`);
+      continue;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await callProvider(format, endpoint, request, requestBody, hop, config);
+      const { response, wire, deadline } = result;
+      // 客户端已断开：不再重试，也不必切换上游
+      if (result.error instanceof ClientAbortError) throw result.error;
+
+      // Key池中的Key失效，或被限流而池中还有可用的Key时，换一个Key立即重试
+      const keyRejected = hop.keyPool && response && ([401, 403].includes(response.status) ||
+        (response.status === 429 && hop.keyPool.hasHealthyKey()));
+
+      // 成功，或者是换上游也无法解决的错误（400/401等），直接返回
+      if (response && (response.ok || (!isRetryableStatus(response.status) && !keyRejected))) {
+        let finalResponse;
+        try {
+          finalResponse = response.ok
+            // 8. 响应转换：Provider格式 → 目标格式（传递原始请求体用于流式检测）
+            ? await convertSuccess(converter, path, format, wire, response, requestBody)
+            // 7. 错误处理：转换为调用方API格式的错误结构
+            : await converter.convertError(format, wire, response);
+        } catch (error) {
+          // 读取响应体时超时：报告超时而不是底层的读取错误
+          throw deadline ? deadline.reasonFor(error) : error;
+        }
+        // 流式响应体还在传输，由看门狗负责空闲超时和客户端断开；其余响应此时已经读完
+        if ((finalResponse.headers.get('content-type') || '').includes('text/event-stream') && deadline) {
+          finalResponse = guardStream(finalResponse, deadline,
+            error => converter.streamErrorEvent(format, error.status || 500, error.message));
+        } else {
+          deadline?.dispose();
+        }
+        return withHeaders(finalResponse, { [PROVIDER_HEADER]: hop.provider, [MODEL_HEADER]: result.model });
+      }
+
+      deadline?.dispose();
+      if (lastFailure?.response) await lastFailure.response.body?.cancel();
+      lastFailure = { ...result, provider: hop.provider };
+      if (attempt >= policy.maxRetries) break;
+
+      const delay = keyRejected ? 0 : retryDelay(attempt, response?.headers.get('retry-after'), policy);
+      if (delay === null) break; // Retry-After太长，直接切换下一个上游
+      console.warn(`Retrying ${hop.provider} in ${delay}ms (attempt ${attempt + 1}): ${response ? response.status : result.error.message}`);
+      await sleep(delay);
+    }
   }
-  
-  // 3. 格式转换：输入格式 → Provider格式
-  const providerRequest = await converter.convertRequest(format, provider, requestBody);
-  
+
+  // 所有上游都失败：返回最后一次失败的结果
+  if (!lastFailure) {
+    throw new Error('No provider in the fallback chain has an API key configured');
+  }
+  if (!lastFailure.response) throw lastFailure.error;
+  const errorResponse = await converter.convertError(format, lastFailure.wire, lastFailure.response);
+  return withHeaders(errorResponse, { [PROVIDER_HEADER]: lastFailure.provider, [MODEL_HEADER]: lastFailure.model });
+}
+
+// 向单个上游发送一次请求，网络错误作为结果返回而不是抛出，便于重试
+async function callProvider(format, endpoint, request, requestBody, hop, config) {
+  const transport = new SocketTransport(config.DEBUG_MODE);
+  const converter = new FormatConverter();
+  // 转换逻辑只关心上游的wire格式，自定义Provider复用内置的三种转换
+  const providerConfig = config.providers[hop.provider];
+  const wire = providerConfig.format;
+
+  // 2. 模型名称映射（精确名称 → 通配符 → 默认值）
+  const finalModel = hop.modelMapper.resolve(format, hop.provider, requestBody.model);
+  const providerBody = { ...requestBody, model: finalModel };
+
+  // 3. 格式转换：输入格式 → Provider格式（embeddings和count_tokens有各自的请求结构）
+  const path = endpointPath(endpoint);
+  if (answeredLocally(path, wire)) {
+    // OpenAI没有计数接口，直接在本地估算，不访问上游
+    const inputTokens = converter.estimateClaudeInputTokens(providerBody);
+    return { response: converter.jsonResponse({ input_tokens: inputTokens }), wire, model: finalModel };
+  }
+  let providerRequest;
+  if (path === 'embeddings') {
+    providerRequest = converter.convertEmbeddingsRequest(format, wire, providerBody);
+  } else if (path === 'messages/count_tokens') {
+    providerRequest = converter.convertCountTokensRequest(format, wire, providerBody);
+  } else {
+    providerRequest = await converter.convertRequest(format, wire, providerBody);
+    if (wire === 'gemini' && hop.safetySettings) {
+      providerRequest.safetySettings = hop.safetySettings;
+    }
+  }
+
   // 4. 构建目标URL (现在需要传入isStream标志)
   const isStream = requestBody.stream === true;
-  const finalEndpoint = buildEndpoint(format, provider, endpoint, finalModel, isStream);
-  const targetUrl = `${PROVIDER_URLS[provider]}/${finalEndpoint}`;
-  
+  const finalEndpoint = buildEndpoint(wire, endpoint, finalModel, isStream);
+  const targetUrl = buildProviderUrl(providerConfig, finalEndpoint, finalModel);
+
   // 5. 创建代理请求
   // 注意：body现在需要被stringify，因为providerRequest是JS对象
   const proxyReq = new Request(targetUrl, {
@@ -155,46 +452,104 @@ async function proxyRequest(format, provider, endpoint, request, apiKey, debug)
     headers: request.headers, // headers将在transport层被清理
     body: JSON.stringify(providerRequest)
   });
-  
-  // 6. Socket传输（隐私保护）
-  // 注意：现在我们传递的是新构建的proxyReq，而不是原始request
-  const providerResponse = await transport.fetch(targetUrl, proxyReq, apiKey);
-  
-  // 7. 错误理
-  if (!providerResponse.ok) {
-    return providerResponse; // 直接返回错误响应
+
+  // 6. Socket传输（隐私保护），超时与客户端断开都会中止这次请求
+  const apiKey = hop.keyPool ? hop.keyPool.acquire() : hop.apiKey;
+  const deadline = new RequestDeadline({ ...config.timeouts, ...providerConfig.timeouts }, request.signal);
+  const stopFirstByte = deadline.start('firstByteMs');
+  try {
+    const response = await transport.fetch(targetUrl, proxyReq, apiKey, providerConfig, deadline);
+    hop.keyPool?.report(apiKey, response.status, parseRetryAfter(response.headers.get('retry-after')));
+    // 流式响应要等到第一个chunk，这之前的失败仍然可以重试
+    const ready = response.ok && isStream ? await awaitFirstChunk(response, deadline) : response;
+    stopFirstByte();
+    return { response: ready, deadline, wire, model: finalModel };
+  } catch (error) {
+    deadline.abort(deadline.reasonFor(error));
+    return { error: deadline.reasonFor(error), wire, model: finalModel };
   }
-  
-  // 8. 响应转换：Provider格式 → 目标格式（传递原始请求体用于流式检测）
-  return await converter.convertResponse(format, provider, providerResponse, requestBody);
 }
 
-// 构建目标端点URL - 修复了Gemini路径重写BUG，增强了路径透传能力
-function buildEndpoint(format, provider, endpoint, model, isStream) {
-  // 规则映射表，用于需要特殊处理的端点
+// 不访问上游、由网关直接回答的请求，也就不需要上游API Key
+function answeredLocally(path, wire) {
+  return path === 'messages/count_tokens' && wire === 'openai';
+}
+
+// 上游成功响应 → 调用方格式，按端点选择对应的转换
+function convertSuccess(converter, path, format, wire, response, requestBody) {
+  if (path === 'embeddings') return converter.convertEmbeddingsResponse(wire, response, requestBody);
+  if (path === 'messages/count_tokens') return converter.convertCountTokensResponse(wire, response);
+  return converter.convertResponse(format, wire, response, requestBody);
+}
+
+// 读出第一个chunk再原样拼回响应体；一旦把响应交给客户端就不再重试
+async function awaitFirstChunk(response, deadline) {
+  const reader = response.body.getReader();
+  const first = await Promise.race([reader.read(), whenAborted(deadline.signal)]);
+  const body = new ReadableStream({
+    start(controller) {
+      if (first.done) controller.close();
+      else controller.enqueue(first.value);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, response);
+}
+
+// fetch返回的响应头不可修改，重新包装后再附加额外的响应头
+function withHeaders(response, headers) {
+  const wrapped = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    wrapped.headers.set(name, value);
+  }
+  return wrapped;
+}
+
+// 构建目标端点 - 对话端点按上游wire格式改写，其余路径透传
+function buildEndpoint(wire, endpoint, model, isStream) {
+  const path = endpointPath(endpoint);
+  const query = endpoint.split('?')[1];
+  // 映射表中的Gemini模型名可能已带models/前缀
+  const geminiModel = `models/${(model || '').replace(/^models\//, '')}`;
+  const generateAction = isStream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+
+  // 规则映射表：客户端路径 → 各wire格式的上游端点
   const endpointRules = {
     'gemini': {
-      'chat/completions': { action: isStream ? 'streamGenerateContent' : 'generateContent', needsModel: true },
-      'messages': { action: isStream ? 'streamGenerateContent' : 'generateContent', needsModel: true },
-      'embedContent': { action: 'embedContent', needsModel: true },
-      'embedText': { action: 'embedText', needsModel: true }, // 兼容旧版
+      // 流式接口必须带alt=sse，否则Gemini返回的是JSON数组而不是SSE
+      'chat/completions': `${geminiModel}:${generateAction}`,
+      'messages': `${geminiModel}:${generateAction}`,
+      'embedContent': `${geminiModel}:embedContent`,
+      'embedText': `${geminiModel}:embedText`, // 兼容旧版
+      'embeddings': `${geminiModel}:batchEmbedContents`,
+      'messages/count_tokens': `${geminiModel}:countTokens`,
+    },
+    'openai': {
+      'chat/completions': 'chat/completions',
+      'messages': 'chat/completions'
+    },
+    'anthropic': {
+      'chat/completions': 'messages',
+      'messages': 'messages'
     }
   };
 
-  const rules = endpointRules[provider];
-  if (rules) {
-    for (const pathSuffix in rules) {
-      if (endpoint.endsWith(pathSuffix)) {
-        const rule = rules[pathSuffix];
-        // 保留原始路径前缀，只替换或附加必要部分
-        const basePath = endpoint.substring(0, endpoint.length - pathSuffix.length);
-        const modelPath = rule.needsModel ? `models/${model}` : '';
-        return `${basePath}${modelPath}:${rule.action}`;
-      }
-    }
-  }
+  // 改写后的端点不转发客户端查询参数（如Anthropic SDK的?beta=true）
+  const rewritten = endpointRules[wire][path];
+  if (rewritten) return rewritten;
+
+  // 其他端点透传，例如OpenAI上游的 /v1/embeddings
+  return query ? `${path}?${query}` : path;
+}
 
-  // 默认情况下，对有provider都进行更健壮的路径透传
-  // 例如支持 /v1/embeddings 等API
-  return endpoint;
+// 客户端路径去掉查询参数，以及与Provider的baseUrl重复的版本前缀
+function endpointPath(endpoint) {
+  return endpoint.split('?')[0].replace(/^v1(beta)?\//, '');
 }
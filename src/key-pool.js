@@ -0,0 +1,114 @@
+// 服务端API Key池 - Worker持有各Provider的Key，客户端只需要网关Token
+// 配置来源：Worker secret KEY_POOLS（JSON，不从KV读取以免Key落入普通配置存储）：
+//   {
+//     "gemini": ["AIza...1", "AIza...2"],
+//     "openai": { "keys": ["sk-1", "sk-2"], "strategy": "least-recently-throttled" }
+//   }
+// strategy: round-robin（默认）| least-recently-throttled
+// 返回429/401/403的Key会被暂时停用，健康状态保存在isolate内存中。
+
+const STRATEGIES = ['round-robin', 'least-recently-throttled'];
+
+// 停用时长：429优先使用Retry-After
+const THROTTLE_BENCH_MS = 60 * 1000;
+const AUTH_FAILURE_BENCH_MS = 10 * 60 * 1000;
+
+let poolCache = { raw: null, pools: {} };
+
+export class KeyPool {
+  constructor(provider, keys, strategy = 'round-robin') {
+    this.provider = provider;
+    this.strategy = strategy;
+    this.cursor = 0;
+    // key → { benchedUntil, lastThrottledAt }
+    this.health = new Map(keys.map(key => [key, { benchedUntil: 0, lastThrottledAt: 0 }]));
+  }
+
+  get keys() {
+    return [...this.health.keys()];
+  }
+
+  // 选出下一个可用的Key；全部停用时选最早恢复的那个
+  acquire() {
+    const now = Date.now();
+    const keys = this.keys;
+    const healthy = keys.filter(key => this.health.get(key).benchedUntil <= now);
+
+    if (healthy.length === 0) {
+      return keys.reduce((best, key) =>
+        this.health.get(key).benchedUntil < this.health.get(best).benchedUntil ? key : best);
+    }
+
+    if (this.strategy === 'least-recently-throttled') {
+      const oldest = Math.min(...healthy.map(key => this.health.get(key).lastThrottledAt));
+      const candidates = healthy.filter(key => this.health.get(key).lastThrottledAt === oldest);
+      return candidates[this.cursor++ % candidates.length];
+    }
+    return healthy[this.cursor++ % healthy.length];
+  }
+
+  // 是否还有未停用的Key，用于判断被限流后能否立即换Key重试
+  hasHealthyKey() {
+    const now = Date.now();
+    return this.keys.some(key => this.health.get(key).benchedUntil <= now);
+  }
+
+  // 根据上游响应更新Key的健康状态
+  report(key, status, retryAfterMs) {
+    const state = this.health.get(key);
+    if (!state) return;
+
+    const now = Date.now();
+    if (status === 429) {
+      state.lastThrottledAt = now;
+      state.benchedUntil = now + (retryAfterMs ?? THROTTLE_BENCH_MS);
+    } else if (status === 401 || status === 403) {
+      state.benchedUntil = now + AUTH_FAILURE_BENCH_MS;
+    } else if (status && status < 400) {
+      state.benchedUntil = 0;
+    } else {
+      return;
+    }
+    if (state.benchedUntil > now) {
+      console.warn(`Benching ${this.provider} key ${maskKey(key)} for ${state.benchedUntil - now}ms after ${status}`);
+    }
+  }
+}
+
+// 解析KEY_POOLS；内容不变时复用同一组KeyPool，保留健康状态
+export function loadKeyPools(env, providers) {
+  const raw = env.KEY_POOLS || null;
+  if (raw === poolCache.raw) return poolCache.pools;
+
+  const pools = {};
+  if (raw) {
+    let config;
+    try {
+      config = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`Invalid KEY_POOLS: ${e.message}`);
+    }
+    for (const [provider, definition] of Object.entries(config)) {
+      const { keys, strategy = 'round-robin' } = Array.isArray(definition) ? { keys: definition } : definition;
+      if (!providers.includes(provider)) {
+        throw new Error(`Invalid KEY_POOLS: unknown provider "${provider}"`);
+      }
+      if (!Array.isArray(keys) || keys.length === 0 || !keys.every(key => typeof key === 'string' && key)) {
+        throw new Error(`Invalid KEY_POOLS: "${provider}" must list at least one key`);
+      }
+      if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid KEY_POOLS: "${provider}.strategy" must be one of ${STRATEGIES.join(', ')}`);
+      }
+      pools[provider] = new KeyPool(provider, keys, strategy);
+    }
+  }
+
+  poolCache = { raw, pools };
+  return pools;
+}
+
+// 日志中只显示Key的末尾几位：最多4位，且不超过Key长度的四分之一，短Key不会整段暴露
+export function maskKey(key) {
+  const visible = Math.min(4, Math.floor(key.length / 4));
+  return visible > 0 ? `…${key.slice(-visible)}` : '…';
+}
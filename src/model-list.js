@@ -0,0 +1,66 @@
+// 模型列表 - GET /v1/models 与 /v1/models/{id}
+// 列出MODEL_MAPPING中的模型别名；开启LIST_UPSTREAM_MODELS时再合并上游的实时模型列表，
+// 统一转换为调用方格式（OpenAI的list结构或Anthropic的分页结构）。
+import { buildProviderUrl } from './providers.js';
+
+// 各wire格式的模型列表端点；Gemini默认每页只有50个
+const UPSTREAM_MODEL_ENDPOINTS = {
+  gemini: 'models?pageSize=1000',
+  openai: 'models',
+  anthropic: 'models?limit=1000'
+};
+
+// 读取上游模型列表，返回 [{ id, displayName, created }]，created为Unix秒
+export async function fetchUpstreamModels(transport, request, providerConfig, apiKey, deadline = null) {
+  const wire = providerConfig.format;
+  const targetUrl = buildProviderUrl(providerConfig, UPSTREAM_MODEL_ENDPOINTS[wire]);
+  const response = await transport.fetch(targetUrl, new Request(targetUrl, {
+    method: 'GET',
+    headers: request.headers
+  }), apiKey, providerConfig, deadline);
+  if (!response.ok) {
+    throw new Error(`Upstream model list failed with ${response.status}: ${await response.text()}`);
+  }
+  const data = await response.json();
+
+  if (wire === 'gemini') {
+    // 只保留能用于对话的模型，去掉models/前缀
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => ({ id: model.name.replace(/^models\//, ''), displayName: model.displayName, created: 0 }));
+  }
+  if (wire === 'anthropic') {
+    return (data.data || []).map(model => ({
+      id: model.id,
+      displayName: model.display_name,
+      created: model.created_at ? Math.floor(Date.parse(model.created_at) / 1000) : 0
+    }));
+  }
+  return (data.data || []).map(model => ({ id: model.id, created: model.created || 0 }));
+}
+
+// 转换为调用方格式的列表响应体
+export function formatModelList(format, provider, models) {
+  const entries = models.map(model => formatModel(format, provider, model));
+  if (format === 'claude') {
+    return {
+      data: entries,
+      has_more: false,
+      first_id: entries[0]?.id ?? null,
+      last_id: entries[entries.length - 1]?.id ?? null
+    };
+  }
+  return { object: 'list', data: entries };
+}
+
+export function formatModel(format, provider, model) {
+  if (format === 'claude') {
+    return {
+      type: 'model',
+      id: model.id,
+      display_name: model.displayName || model.id,
+      created_at: new Date(model.created * 1000).toISOString()
+    };
+  }
+  return { id: model.id, object: 'model', created: model.created, owned_by: provider };
+}
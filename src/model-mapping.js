@@ -0,0 +1,123 @@
+// 模型映射 - 双层结构：输入格式 → Provider → 模型名规则
+// 规则来源优先级：KV(CONFIG_KV中的model_mapping) > 环境变量MODEL_MAPPING > 内置默认值
+//
+// 规则的key支持三种写法：
+//   精确名称    'gemini-2.5-pro'
+//   通配符      'claude-sonnet-*'、'*haiku*'
+//   默认值      '*'（该格式+Provider下未命中其他规则时使用）
+// 精确名称优先，其余按字面字符数从多到少匹配，因此'*'总是最后兜底。
+import { loadJsonConfig, isPlainObject } from './config-store.js';
+
+export const DEFAULT_MODEL_MAPPING = {
+  // Claude格式输入的模型映射
+  'claude': {
+    'gemini': {
+      'gemini-2.5-pro': 'models/gemini-2.0-flash-exp',
+      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
+    },
+    'openai': {
+      'gpt-4o': 'gpt-4o',
+    },
+    'anthropic': {
+        'claude-3-5-sonnet-20240620': 'claude-3-5-sonnet-20240620',
+    }
+  },
+  // OpenAI格式输入的模型映射
+  'openai': {
+    'gemini': {
+      'gemini-pro': 'models/gemini-pro',
+      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
+    },
+    'openai': {
+      'gpt-4o': 'gpt-4o',
+      'gpt-4o-mini': 'gpt-4o-mini',
+    },
+    'anthropic': {
+      'claude-3-sonnet': 'claude-3-5-sonnet-20240620',
+      'claude-3-haiku': 'claude-3-haiku-20240725'
+    }
+  }
+};
+
+const FORMATS = ['claude', 'openai'];
+
+export class ModelMapper {
+  constructor(mapping) {
+    this.mapping = mapping;
+    this.patterns = {};
+
+    for (const [format, providers] of Object.entries(mapping)) {
+      for (const [provider, rules] of Object.entries(providers)) {
+        this.patterns[`${format}/${provider}`] = Object.keys(rules)
+          .filter(key => key.includes('*'))
+          .sort((a, b) => b.replace(/\*/g, '').length - a.replace(/\*/g, '').length)
+          .map(key => ({ regex: globToRegExp(key), target: rules[key] }));
+      }
+    }
+  }
+
+  // 返回映射后的模型名；没有命中任何规则时原样返回
+  resolve(format, provider, model) {
+    const rules = this.mapping[format]?.[provider];
+    if (!rules) return model;
+    if (model && Object.prototype.hasOwnProperty.call(rules, model)) return rules[model];
+
+    for (const { regex, target } of this.patterns[`${format}/${provider}`]) {
+      if (regex.test(model || '')) return target;
+    }
+    return model;
+  }
+
+  // 该格式+Provider下可直接使用的模型别名（不含通配符规则）
+  aliases(format, provider) {
+    return Object.keys(this.mapping[format]?.[provider] || {}).filter(key => !key.includes('*'));
+  }
+}
+
+// 加载并校验模型映射
+export function loadModelMapper(env, providers) {
+  return loadJsonConfig(env, {
+    kvKey: 'model_mapping',
+    envVar: 'MODEL_MAPPING',
+    build: (mapping, source) => {
+      validateModelMapping(mapping, providers, source);
+      return new ModelMapper(mapping);
+    },
+    fallback: () => new ModelMapper(DEFAULT_MODEL_MAPPING)
+  });
+}
+
+// 配置错误在第一次请求时即报出，而不是在某个模型命中时才暴露
+export function validateModelMapping(mapping, providers, source = 'model mapping') {
+  if (!isPlainObject(mapping)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by format`);
+  }
+
+  for (const [format, providerRules] of Object.entries(mapping)) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid ${source}: unknown format "${format}". Supported: ${FORMATS.join(', ')}`);
+    }
+    if (!isPlainObject(providerRules)) {
+      throw new Error(`Invalid ${source}: "${format}" must map providers to rule objects`);
+    }
+
+    for (const [provider, rules] of Object.entries(providerRules)) {
+      if (!providers.includes(provider)) {
+        throw new Error(`Invalid ${source}: unknown provider "${format}.${provider}". Supported: ${providers.join(', ')}`);
+      }
+      if (!isPlainObject(rules)) {
+        throw new Error(`Invalid ${source}: "${format}.${provider}" must map model names to target models`);
+      }
+      for (const [pattern, target] of Object.entries(rules)) {
+        if (typeof target !== 'string' || !target || target.includes('*')) {
+          throw new Error(`Invalid ${source}: "${format}.${provider}.${pattern}" must be a concrete model name`);
+        }
+      }
+    }
+  }
+}
+
+export function globToRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
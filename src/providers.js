@@ -0,0 +1,154 @@
+// Provider注册表 - 内置gemini/openai/anthropic，可通过配置追加OpenAI兼容等自定义上游
+// 配置来源：KV(CONFIG_KV中的providers) > 环境变量PROVIDERS，JSON结构：
+//   {
+//     "deepseek": { "baseUrl": "https://api.deepseek.com/v1", "format": "openai", "auth": "bearer" },
+//     "azure": {
+//       "baseUrl": "https://my-resource.openai.azure.com/openai/deployments/{model}",
+//       "format": "openai", "auth": "api-key", "query": { "api-version": "2024-10-21" }
+//     }
+//   }
+// baseUrl需包含API版本路径；{model}会替换为映射后的模型名。
+// 与内置Provider同名时按字段覆盖（例如给anthropic换一个baseUrl）。
+import { loadJsonConfig, isPlainObject } from './config-store.js';
+import { validateTimeouts } from './timeouts.js';
+
+export const BUILTIN_PROVIDERS = {
+  'gemini': {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    format: 'gemini',
+    auth: 'x-goog-api-key'
+  },
+  'openai': {
+    baseUrl: 'https://api.openai.com/v1',
+    format: 'openai',
+    auth: 'bearer'
+  },
+  'anthropic': {
+    baseUrl: 'https://api.anthropic.com/v1',
+    format: 'anthropic',
+    auth: 'x-api-key',
+    // 客户端未携带时补上，OpenAI格式的客户端不会发送这个头
+    headers: { 'anthropic-version': '2023-06-01' }
+  }
+};
+
+// 上游的wire格式，决定请求/响应如何转换
+const WIRE_FORMATS = ['gemini', 'openai', 'anthropic'];
+
+// 凭据类请求头：客户端携带的一律不转发，也不能加入allowHeaders
+export const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'x-api-key', 'x-goog-api-key', 'api-key', 'cookie'];
+
+// 上游传输方式：fetch为Workers原生fetch，socket为cloudflare:sockets的原始连接
+const TRANSPORTS = ['fetch', 'socket'];
+
+// 出站代理协议：HTTP CONNECT与SOCKS5
+const PROXY_PROTOCOLS = ['http:', 'socks5:'];
+
+// 认证方式 → 请求头
+export const AUTH_SCHEMES = {
+  'bearer': { header: 'Authorization', prefix: 'Bearer ' },
+  'x-api-key': { header: 'x-api-key', prefix: '' },
+  'x-goog-api-key': { header: 'x-goog-api-key', prefix: '' },
+  'api-key': { header: 'api-key', prefix: '' }, // Azure OpenAI
+  'none': null // 本地vLLM/Ollama等无需认证的上游
+};
+
+export function loadProviders(env) {
+  return loadJsonConfig(env, {
+    kvKey: 'providers',
+    envVar: 'PROVIDERS',
+    build: (custom, source) => buildProviders(custom, source),
+    fallback: () => BUILTIN_PROVIDERS
+  });
+}
+
+function buildProviders(custom, source) {
+  if (!isPlainObject(custom)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by provider name`);
+  }
+
+  const providers = { ...BUILTIN_PROVIDERS };
+  for (const [name, definition] of Object.entries(custom)) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+      throw new Error(`Invalid ${source}: provider name "${name}" must be URL-safe`);
+    }
+    if (!isPlainObject(definition)) {
+      throw new Error(`Invalid ${source}: "${name}" must be an object`);
+    }
+    providers[name] = { ...BUILTIN_PROVIDERS[name], ...definition };
+    validateProvider(name, providers[name], source);
+  }
+  return providers;
+}
+
+function validateProvider(name, provider, source) {
+  try {
+    new URL(String(provider.baseUrl).replace('{model}', 'model'));
+  } catch (e) {
+    throw new Error(`Invalid ${source}: "${name}.baseUrl" must be an absolute URL`);
+  }
+  if (!WIRE_FORMATS.includes(provider.format)) {
+    throw new Error(`Invalid ${source}: "${name}.format" must be one of ${WIRE_FORMATS.join(', ')}`);
+  }
+  if (!(provider.auth in AUTH_SCHEMES)) {
+    throw new Error(`Invalid ${source}: "${name}.auth" must be one of ${Object.keys(AUTH_SCHEMES).join(', ')}`);
+  }
+  if (provider.transport !== undefined && !TRANSPORTS.includes(provider.transport)) {
+    throw new Error(`Invalid ${source}: "${name}.transport" must be one of ${TRANSPORTS.join(', ')}`);
+  }
+  if (provider.proxy !== undefined) {
+    validateProxy(name, provider, source);
+  }
+  if (provider.timeouts !== undefined) {
+    validateTimeouts(provider.timeouts, `${name}.timeouts`, source);
+  }
+  if (provider.allowHeaders !== undefined) {
+    if (!Array.isArray(provider.allowHeaders) || !provider.allowHeaders.every(header => typeof header === 'string' && /^[a-z0-9-]+$/i.test(header))) {
+      throw new Error(`Invalid ${source}: "${name}.allowHeaders" must be an array of header names`);
+    }
+    const credential = provider.allowHeaders.find(header => CREDENTIAL_HEADERS.includes(header.toLowerCase()));
+    if (credential) {
+      throw new Error(`Invalid ${source}: "${name}.allowHeaders" cannot forward the credential header "${credential}"`);
+    }
+  }
+  if (provider.userAgent !== undefined && (typeof provider.userAgent !== 'string' || !provider.userAgent)) {
+    throw new Error(`Invalid ${source}: "${name}.userAgent" must be a non-empty string`);
+  }
+  for (const field of ['headers', 'query']) {
+    if (provider[field] !== undefined && !isPlainObject(provider[field])) {
+      throw new Error(`Invalid ${source}: "${name}.${field}" must be an object`);
+    }
+  }
+}
+
+// proxy为一个代理URL或按顺序经过的代理URL列表，只能走socket传输
+function validateProxy(name, provider, source) {
+  const proxies = [].concat(provider.proxy);
+  if (proxies.length === 0 || !proxies.every(proxy => typeof proxy === 'string')) {
+    throw new Error(`Invalid ${source}: "${name}.proxy" must be a proxy URL or an array of proxy URLs`);
+  }
+  for (const proxy of proxies) {
+    let url;
+    try {
+      url = new URL(proxy);
+    } catch (e) {
+      throw new Error(`Invalid ${source}: "${name}.proxy" entry "${proxy}" is not a valid URL`);
+    }
+    if (!PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname) {
+      throw new Error(`Invalid ${source}: "${name}.proxy" entries must be http:// (CONNECT) or socks5:// proxy URLs`);
+    }
+  }
+  if (provider.transport === 'fetch') {
+    throw new Error(`Invalid ${source}: "${name}.proxy" requires the socket transport`);
+  }
+}
+
+// 构建上游完整URL：baseUrl + 端点 + Provider固定的查询参数
+export function buildProviderUrl(provider, endpoint, model) {
+  const base = provider.baseUrl.replace('{model}', encodeURIComponent(model || '')).replace(/\/+$/, '');
+  const url = new URL(`${base}/${endpoint}`);
+  for (const [key, value] of Object.entries(provider.query || {})) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
@@ -0,0 +1,154 @@
+// 按网关Token限流 - 每个Token一个Durable Object实例保存计数
+// 限额写在GATEWAY_TOKENS中对应Token的limits字段：
+//   { "requestsPerMinute": 60, "tokensPerDay": 2000000, "concurrentStreams": 4 }
+// 请求数按分钟固定窗口计数；token用量按UTC自然日累计，在响应结束后记账，
+// 因此单个请求可以让当天用量略微超出限额，之后的请求才会被拒绝。
+
+// 流式租约的最长存活时间：Worker异常退出没有归还时，到期自动释放
+const STREAM_LEASE_TTL_MS = 15 * 60 * 1000;
+
+// 并发流已满时建议客户端等待的秒数
+const STREAM_RETRY_AFTER_S = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+// Durable Object：同一Token的所有请求串行经过同一个实例，计数不会竞争
+export class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+    this.counters = null;
+    state.blockConcurrencyWhile(async () => {
+      this.counters = (await this.storage.get('counters')) || {
+        minute: { start: 0, requests: 0 },
+        day: { date: '', tokens: 0 },
+        leases: {}
+      };
+    });
+  }
+
+  async fetch(request) {
+    const { action, limits, stream, leaseId, tokens } = await request.json();
+    const now = Date.now();
+    this.roll(now);
+
+    let result;
+    if (action === 'acquire') {
+      result = this.acquire(limits, stream, now);
+    } else if (action === 'complete') {
+      if (leaseId) delete this.counters.leases[leaseId];
+      this.counters.day.tokens += tokens || 0;
+      result = { allowed: true };
+    } else {
+      return new Response(`Unknown action: ${action}`, { status: 400 });
+    }
+
+    await this.storage.put('counters', this.counters);
+    return new Response(JSON.stringify({ ...result, ...this.snapshot(limits, now) }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  acquire(limits, stream, now) {
+    const { minute, day, leases } = this.counters;
+
+    if (limits.requestsPerMinute && minute.requests >= limits.requestsPerMinute) {
+      return this.deny(`${limits.requestsPerMinute} requests per minute`, minute.start + MINUTE_MS - now);
+    }
+    if (limits.tokensPerDay && day.tokens >= limits.tokensPerDay) {
+      return this.deny(`${limits.tokensPerDay} tokens per day`, nextUtcMidnight(now) - now);
+    }
+    if (stream && limits.concurrentStreams && Object.keys(leases).length >= limits.concurrentStreams) {
+      return this.deny(`${limits.concurrentStreams} concurrent streams`, STREAM_RETRY_AFTER_S * 1000);
+    }
+
+    minute.requests++;
+    if (!stream) return { allowed: true };
+    const leaseId = crypto.randomUUID();
+    leases[leaseId] = now + STREAM_LEASE_TTL_MS;
+    return { allowed: true, leaseId };
+  }
+
+  deny(limit, waitMs) {
+    return { allowed: false, limit, retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) };
+  }
+
+  // 进入新的分钟/新的一天时清零，顺便清理过期的流式租约
+  roll(now) {
+    const { minute, day, leases } = this.counters;
+    if (now - minute.start >= MINUTE_MS) {
+      minute.start = now;
+      minute.requests = 0;
+    }
+    const today = new Date(now).toISOString().slice(0, 10);
+    if (day.date !== today) {
+      day.date = today;
+      day.tokens = 0;
+    }
+    for (const [id, expiresAt] of Object.entries(leases)) {
+      if (expiresAt <= now) delete leases[id];
+    }
+  }
+
+  snapshot(limits = {}, now) {
+    const { minute, day } = this.counters;
+    return {
+      requests: limits.requestsPerMinute && {
+        limit: limits.requestsPerMinute,
+        remaining: Math.max(0, limits.requestsPerMinute - minute.requests),
+        resetMs: minute.start + MINUTE_MS - now
+      },
+      tokens: limits.tokensPerDay && {
+        limit: limits.tokensPerDay,
+        remaining: Math.max(0, limits.tokensPerDay - day.tokens),
+        resetMs: nextUtcMidnight(now) - now
+      }
+    };
+  }
+}
+
+// Worker侧的客户端：通过RATE_LIMITER绑定访问当前Token的计数器
+export class RateLimitClient {
+  constructor(namespace, tenant) {
+    this.stub = namespace.get(namespace.idFromName(tenant.name));
+    this.limits = tenant.limits;
+  }
+
+  acquire(stream) {
+    return this.call({ action: 'acquire', limits: this.limits, stream });
+  }
+
+  // 响应结束：归还流式租约并记入token用量
+  complete(leaseId, tokens) {
+    return this.call({ action: 'complete', limits: this.limits, leaseId, tokens });
+  }
+
+  async call(message) {
+    const response = await this.stub.fetch('https://rate-limiter/', {
+      method: 'POST',
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`Rate limiter error ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+}
+
+// 与OpenAI相同的x-ratelimit-*响应头，客户端SDK可以直接识别
+export function rateLimitHeaders(result) {
+  const headers = {};
+  for (const kind of ['requests', 'tokens']) {
+    const bucket = result[kind];
+    if (!bucket) continue;
+    headers[`x-ratelimit-limit-${kind}`] = String(bucket.limit);
+    headers[`x-ratelimit-remaining-${kind}`] = String(bucket.remaining);
+    headers[`x-ratelimit-reset-${kind}`] = `${Math.max(0, Math.ceil(bucket.resetMs / 1000))}s`;
+  }
+  if (!result.allowed) headers['retry-after'] = String(result.retryAfter);
+  return headers;
+}
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
@@ -0,0 +1,344 @@
+// 原始Socket HTTP客户端 - 用cloudflare:sockets的connect()直接建立TCP/TLS连接，
+// 手写HTTP/1.1请求报文并解析响应，不经过Workers的fetch，上游看不到任何Cloudflare出口元数据。
+// 支持Content-Length、chunked和以关闭连接结束的响应体，响应体按到达顺序流式返回。
+// 不跟随重定向；http://地址使用明文连接，便于对着本地HTTP服务调试。
+// 可以经过一个或多个转发代理出站（http://为HTTP CONNECT，socks5://为SOCKS5，均支持user:pass认证），
+// 按顺序逐跳建立隧道，到达目标后再在隧道内做TLS握手，代理看不到请求内容。
+import { connect } from 'cloudflare:sockets';
+import { whenAborted } from './timeouts.js';
+
+const CRLF = new Uint8Array([13, 10]);
+const HEADER_END = new Uint8Array([13, 10, 13, 10]);
+
+// 由客户端自行生成的请求头，调用方传入的同名头会被忽略
+const MANAGED_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding', 'accept-encoding'];
+
+const DEFAULT_PROXY_PORTS = { 'http:': 80, 'socks5:': 1080 };
+
+// SOCKS5 CONNECT应答码 → 说明（RFC 1928）
+const SOCKS5_ERRORS = {
+  1: 'general failure',
+  2: 'connection not allowed by ruleset',
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+const rawEncoder = new TextEncoder();
+const rawDecoder = new TextDecoder();
+
+export class RawHttpClient {
+  // connectFn默认为cloudflare:sockets的connect，测试时可以换成连接本地服务的实现
+  constructor(connectFn = connect) {
+    this.connect = connectFn;
+  }
+
+  // proxy为代理URL或按顺序经过的代理URL列表；deadline为可选的RequestDeadline，
+  // 负责连接超时，中止时关闭socket
+  async fetch(url, { method = 'GET', headers = new Headers(), body = null, proxy = null, deadline = null } = {}) {
+    const target = new URL(url);
+    const signal = deadline?.signal;
+    const stopConnect = deadline?.start('connectMs');
+    let socket;
+    try {
+      socket = await this.openSocket(target, [].concat(proxy || []).map(entry => new URL(entry)), signal);
+    } catch (error) {
+      throw deadline ? deadline.reasonFor(error) : error;
+    } finally {
+      stopConnect?.();
+    }
+    const close = () => socket.close().catch(() => {});
+
+    try {
+      // 请求体都是小体积JSON，整体读出后带上Content-Length发送，免去请求侧的chunked编码
+      const payload = body ? new Uint8Array(await new Response(body).arrayBuffer()) : null;
+      await this.writeAll(socket, rawEncoder.encode(this.buildRequestHead(target, method, headers, payload)));
+      if (payload && payload.length > 0) await this.writeAll(socket, payload);
+
+      return await this.readResponse(new SocketReader(socket.readable), method, close, signal);
+    } catch (error) {
+      close();
+      throw deadline ? deadline.reasonFor(error) : error;
+    }
+  }
+
+  // 无代理时直连目标；否则连到第一个代理，逐跳CONNECT到下一个代理，最后到目标
+  // signal中止时关闭当前使用的连接（startTls之后是新返回的TLS socket），进行中的握手和读取随之失败
+  async openSocket(target, proxies, signal) {
+    const secure = target.protocol === 'https:';
+    const destination = { hostname: target.hostname, port: Number(target.port) || (secure ? 443 : 80) };
+    const [first] = proxies;
+    let socket = first
+      ? this.connect(
+        { hostname: first.hostname, port: Number(first.port) || DEFAULT_PROXY_PORTS[first.protocol] },
+        { secureTransport: secure ? 'starttls' : 'off', allowHalfOpen: false }
+      )
+      : this.connect(destination, { secureTransport: secure ? 'on' : 'off', allowHalfOpen: false });
+    signal?.addEventListener('abort', () => socket.close().catch(() => {}), { once: true });
+
+    try {
+      await Promise.race([socket.opened, whenAborted(signal)]);
+      if (!first) return socket;
+      for (let i = 0; i < proxies.length; i++) {
+        const next = proxies[i + 1];
+        const hop = next
+          ? { hostname: next.hostname, port: Number(next.port) || DEFAULT_PROXY_PORTS[next.protocol] }
+          : destination;
+        if (proxies[i].protocol === 'socks5:') await this.socks5Connect(socket, proxies[i], hop);
+        else await this.httpConnect(socket, proxies[i], hop);
+      }
+      if (secure) socket = socket.startTls({ expectedServerHostname: target.hostname });
+      return socket;
+    } catch (error) {
+      socket.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  async httpConnect(socket, proxy, { hostname, port }) {
+    const authority = `${hostname}:${port}`;
+    const lines = [`CONNECT ${authority} HTTP/1.1`, `Host: ${authority}`];
+    if (proxy.username) {
+      lines.push(`Proxy-Authorization: Basic ${btoa(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`)}`);
+    }
+    await this.writeAll(socket, rawEncoder.encode(`${lines.join('\r\n')}\r\n\r\n`));
+
+    const reader = new SocketReader(socket.readable);
+    const { status, statusText } = this.parseResponseHead(rawDecoder.decode(await reader.readUntil(HEADER_END)));
+    reader.release();
+    if (status !== 200) {
+      throw new Error(`Proxy ${proxy.host} refused CONNECT to ${authority}: ${status} ${statusText}`);
+    }
+  }
+
+  async socks5Connect(socket, proxy, { hostname, port }) {
+    const reader = new SocketReader(socket.readable);
+    const username = decodeURIComponent(proxy.username);
+    const password = decodeURIComponent(proxy.password);
+
+    // 协商认证方式：0x00无认证，0x02用户名/密码
+    await this.writeAll(socket, new Uint8Array(username ? [5, 2, 0, 2] : [5, 1, 0]));
+    const [, method] = await reader.readExactly(2);
+    if (method === 2 && username) {
+      const user = rawEncoder.encode(username);
+      const pass = rawEncoder.encode(password);
+      await this.writeAll(socket, new Uint8Array([1, user.length, ...user, pass.length, ...pass]));
+      const [, status] = await reader.readExactly(2);
+      if (status !== 0) throw new Error(`SOCKS5 proxy ${proxy.host} rejected the credentials`);
+    } else if (method !== 0) {
+      throw new Error(`SOCKS5 proxy ${proxy.host} offered no acceptable authentication method`);
+    }
+
+    // 目标地址按域名发送，由代理解析DNS
+    const address = /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)
+      ? [1, ...hostname.split('.').map(Number)]
+      : [3, rawEncoder.encode(hostname).length, ...rawEncoder.encode(hostname)];
+    await this.writeAll(socket, new Uint8Array([5, 1, 0, ...address, port >> 8, port & 0xff]));
+
+    const [, reply, , addressType] = await reader.readExactly(4);
+    if (reply !== 0) {
+      throw new Error(`SOCKS5 proxy ${proxy.host} failed to connect to ${hostname}:${port}: ${SOCKS5_ERRORS[reply] || `error ${reply}`}`);
+    }
+    // 跳过代理回报的绑定地址和端口
+    const addressLength = addressType === 1 ? 4 : addressType === 4 ? 16 : (await reader.readExactly(1))[0];
+    await reader.readExactly(addressLength + 2);
+    reader.release();
+  }
+
+  async writeAll(socket, bytes) {
+    const writer = socket.writable.getWriter();
+    await writer.write(bytes);
+    writer.releaseLock();
+  }
+
+  buildRequestHead(target, method, headers, payload) {
+    const lines = [
+      `${method} ${target.pathname}${target.search} HTTP/1.1`,
+      `Host: ${target.host}`,
+      'Connection: close',
+      // 不处理压缩协商，要求上游返回原始字节
+      'Accept-Encoding: identity'
+    ];
+    if (payload) lines.push(`Content-Length: ${payload.length}`);
+    for (const [key, value] of headers) {
+      if (!MANAGED_REQUEST_HEADERS.includes(key.toLowerCase())) lines.push(`${key}: ${value}`);
+    }
+    return `${lines.join('\r\n')}\r\n\r\n`;
+  }
+
+  async readResponse(reader, method, close, signal) {
+    // 等待响应头时与中止竞速，不依赖关闭socket能否让读取立即失败
+    const aborted = whenAborted(signal);
+    let head;
+    // 跳过100 Continue等1xx中间响应
+    do {
+      head = this.parseResponseHead(rawDecoder.decode(await Promise.race([reader.readUntil(HEADER_END), aborted])));
+    } while (head.status >= 100 && head.status < 200);
+
+    const { status, statusText, headers } = head;
+    let chunks;
+    if (method === 'HEAD' || status === 204 || status === 304) {
+      chunks = null;
+    } else if (/\bchunked\b/i.test(headers.get('transfer-encoding') || '')) {
+      chunks = readChunkedBody(reader);
+    } else if (headers.has('content-length')) {
+      chunks = readLengthBody(reader, Number(headers.get('content-length')));
+    } else {
+      chunks = readUntilClose(reader);
+    }
+    // 传输编码已在这里解开，不能再交给Response
+    headers.delete('transfer-encoding');
+
+    if (!chunks) {
+      close();
+      return new Response(null, { status, statusText, headers });
+    }
+
+    let stream = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { value, done } = await chunks.next();
+          if (done) {
+            controller.close();
+            close();
+          } else {
+            controller.enqueue(value);
+          }
+        } catch (error) {
+          controller.error(signal?.aborted ? signal.reason : error);
+          close();
+        }
+      },
+      cancel() {
+        close();
+      }
+    });
+
+    // 上游无视Accept-Encoding时自行解压
+    const encoding = (headers.get('content-encoding') || '').toLowerCase();
+    if (encoding === 'gzip' || encoding === 'deflate') {
+      stream = stream.pipeThrough(new DecompressionStream(encoding));
+      headers.delete('content-encoding');
+      headers.delete('content-length');
+    }
+    return new Response(stream, { status, statusText, headers });
+  }
+
+  parseResponseHead(text) {
+    const [statusLine, ...headerLines] = text.split('\r\n');
+    const match = /^HTTP\/1\.[01] (\d{3})(?: (.*))?$/.exec(statusLine);
+    if (!match) {
+      throw new Error(`Invalid HTTP status line from upstream: ${statusLine.slice(0, 100)}`);
+    }
+
+    const headers = new Headers();
+    for (const line of headerLines) {
+      const separator = line.indexOf(':');
+      if (separator > 0) headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+    }
+    return { status: Number(match[1]), statusText: match[2] || '', headers };
+  }
+}
+
+// 在socket的可读流上按需读取：按分隔符读取报文头和chunk大小行，按长度读取正文
+class SocketReader {
+  constructor(readable) {
+    this.reader = readable.getReader();
+    this.buffer = new Uint8Array(0);
+  }
+
+  // 再读入一段数据；连接已关闭时返回false
+  async fill() {
+    for (;;) {
+      const { value, done } = await this.reader.read();
+      if (done) return false;
+      if (value.length === 0) continue;
+      const merged = new Uint8Array(this.buffer.length + value.length);
+      merged.set(this.buffer);
+      merged.set(value, this.buffer.length);
+      this.buffer = merged;
+      return true;
+    }
+  }
+
+  // 返回分隔符之前的字节，并消费掉分隔符
+  async readUntil(delimiter) {
+    let index;
+    while ((index = indexOfBytes(this.buffer, delimiter)) === -1) {
+      if (!await this.fill()) throw new Error('Connection closed before the response was complete');
+    }
+    const bytes = this.buffer.subarray(0, index);
+    this.buffer = this.buffer.subarray(index + delimiter.length);
+    return bytes;
+  }
+
+  async readExactly(length) {
+    while (this.buffer.length < length) {
+      if (!await this.fill()) throw new Error('Connection closed before the response was complete');
+    }
+    const bytes = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return bytes;
+  }
+
+  // 代理握手结束后交还可读流，之后由下一跳或HTTP响应继续读取
+  release() {
+    if (this.buffer.length > 0) {
+      throw new Error('Proxy sent unexpected data after the tunnel handshake');
+    }
+    this.reader.releaseLock();
+  }
+
+  // 返回至多max个字节（至少1个）；连接已关闭时返回null
+  async readSome(max = Infinity) {
+    if (this.buffer.length === 0 && !await this.fill()) return null;
+    const bytes = this.buffer.subarray(0, Math.min(max, this.buffer.length));
+    this.buffer = this.buffer.subarray(bytes.length);
+    return bytes;
+  }
+}
+
+async function* readChunkedBody(reader) {
+  for (;;) {
+    const sizeLine = rawDecoder.decode(await reader.readUntil(CRLF));
+    const size = parseInt(sizeLine.split(';')[0].trim(), 16);
+    if (Number.isNaN(size)) {
+      throw new Error(`Invalid chunk size from upstream: ${sizeLine.slice(0, 100)}`);
+    }
+    if (size === 0) {
+      // 跳过trailer，直到空行
+      while ((await reader.readUntil(CRLF)).length > 0);
+      return;
+    }
+    yield* readLengthBody(reader, size);
+    await reader.readUntil(CRLF);
+  }
+}
+
+async function* readLengthBody(reader, length) {
+  let remaining = length;
+  while (remaining > 0) {
+    const bytes = await reader.readSome(remaining);
+    if (!bytes) throw new Error('Connection closed before the response was complete');
+    remaining -= bytes.length;
+    yield bytes;
+  }
+}
+
+async function* readUntilClose(reader) {
+  let bytes;
+  while ((bytes = await reader.readSome())) yield bytes;
+}
+
+function indexOfBytes(haystack, needle) {
+  outer: for (let i = 0; i <= haystack.length - needle.length; i++) {
+    for (let j = 0; j < needle.length; j++) {
+      if (haystack[i + j] !== needle[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
@@ -0,0 +1,82 @@
+// Gemini安全设置 - 为发往Gemini的对话请求注入默认的safetySettings
+// 配置来源：KV(CONFIG_KV中的safety_settings) > 环境变量SAFETY_SETTINGS，JSON结构：
+//   {
+//     "default": [{ "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "threshold": "BLOCK_ONLY_HIGH" }],
+//     "routes": { "claude/gemini": [{ "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_NONE" }] },
+//     "tokens": { "ci-main": [{ "category": "HARM_CATEGORY_HATE_SPEECH", "threshold": "OFF" }] }
+//   }
+// 按类别合并，优先级：Token > 路由（"{format}/{provider}"）> default。
+import { loadJsonConfig, isPlainObject } from './config-store.js';
+
+const HARM_THRESHOLDS = [
+  'HARM_BLOCK_THRESHOLD_UNSPECIFIED', 'BLOCK_LOW_AND_ABOVE', 'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_ONLY_HIGH', 'BLOCK_NONE', 'OFF'
+];
+
+export class SafetyPolicy {
+  constructor({ default: defaults = [], routes = {}, tokens = {} }) {
+    this.defaults = defaults;
+    this.routes = routes;
+    this.tokens = tokens;
+  }
+
+  // 返回该Token在该路由上生效的safetySettings；没有任何配置时返回undefined，由Gemini使用默认值
+  resolve(format, provider, tokenName) {
+    const byCategory = new Map();
+    for (const settings of [this.defaults, this.routes[`${format}/${provider}`], this.tokens[tokenName]]) {
+      for (const setting of settings || []) byCategory.set(setting.category, setting);
+    }
+    return byCategory.size > 0 ? [...byCategory.values()] : undefined;
+  }
+}
+
+export function loadSafetyPolicy(env, providers) {
+  return loadJsonConfig(env, {
+    kvKey: 'safety_settings',
+    envVar: 'SAFETY_SETTINGS',
+    build: (config, source) => new SafetyPolicy(validateSafetyConfig(config, providers, source)),
+    fallback: () => new SafetyPolicy({})
+  });
+}
+
+function validateSafetyConfig(config, providers, source) {
+  if (!isPlainObject(config)) {
+    throw new Error(`Invalid ${source}: expected an object with "default", "routes" and "tokens"`);
+  }
+  const unknown = Object.keys(config).find(key => !['default', 'routes', 'tokens'].includes(key));
+  if (unknown) {
+    throw new Error(`Invalid ${source}: unknown field "${unknown}"`);
+  }
+
+  if (config.default !== undefined) validateSettings(config.default, 'default', source);
+  for (const group of ['routes', 'tokens']) {
+    if (config[group] === undefined) continue;
+    if (!isPlainObject(config[group])) {
+      throw new Error(`Invalid ${source}: "${group}" must be an object`);
+    }
+    for (const [key, settings] of Object.entries(config[group])) {
+      if (group === 'routes') {
+        const [format, provider] = key.split('/');
+        if (!['claude', 'openai'].includes(format) || !providers.includes(provider)) {
+          throw new Error(`Invalid ${source}: route "${key}" must be "{format}/{provider}"`);
+        }
+      }
+      validateSettings(settings, `${group}.${key}`, source);
+    }
+  }
+  return config;
+}
+
+function validateSettings(settings, path, source) {
+  if (!Array.isArray(settings)) {
+    throw new Error(`Invalid ${source}: "${path}" must be an array of safety settings`);
+  }
+  for (const setting of settings) {
+    if (!isPlainObject(setting) || typeof setting.category !== 'string' || !setting.category.startsWith('HARM_CATEGORY_')) {
+      throw new Error(`Invalid ${source}: "${path}" entries need a HARM_CATEGORY_* category`);
+    }
+    if (!HARM_THRESHOLDS.includes(setting.threshold)) {
+      throw new Error(`Invalid ${source}: "${path}.${setting.category}" threshold must be one of ${HARM_THRESHOLDS.join(', ')}`);
+    }
+  }
+}
@@ -1,10 +1,23 @@
 // Socket传输层 - 实现隐私保护的HTTP请求
-// 简化实现：直接使用fetch API，因为它原生支持流式处，
-// 我们只需要清理掉不安全的头部信息即可。
+// 默认直接使用fetch API，因为它原生支持流式处理，我们只需要清理掉不安全的头部信息即可；
+// Provider声明"transport": "socket"或配置了出站代理（proxy）时改用RawHttpClient，经原始TCP/TLS连接发送。
+import { AUTH_SCHEMES, CREDENTIAL_HEADERS } from './providers.js';
+import { RawHttpClient } from './raw-http.js';
+
+// 默认只透传这些请求头，其余（IP、Cookie、Origin、User-Agent等）一律丢弃
+const FORWARDED_HEADERS = ['content-type', 'accept'];
+
+// 各wire格式额外透传的API相关请求头
+const WIRE_FORWARDED_HEADERS = {
+  gemini: [],
+  openai: ['openai-organization', 'openai-project', 'openai-beta'],
+  anthropic: ['anthropic-version', 'anthropic-beta']
+};
 
 export class SocketTransport {
-  constructor(debug = false) {
+  constructor(debug = false, rawClient = new RawHttpClient()) {
     this.debug = debug;
+    this.rawClient = rawClient;
   }
 
   log(message) {
@@ -12,11 +25,21 @@ export class SocketTransport {
   }
 
   // 核心方法：使用fetch进行请求，同时清理头部以保护隐私
-  async fetch(targetUrl, request, apiKey) {
-    const url = new URL(targetUrl);
-    
+  // deadline为可选的RequestDeadline，超时或客户端断开时中止请求
+  async fetch(targetUrl, request, apiKey, provider, deadline = null) {
     // 1. 构建干净的HTTP请求头（无CF-*泄露）
-    const cleanHeaders = this.buildCleanHeaders(request.headers, url.hostname, apiKey);
+    const cleanHeaders = this.buildCleanHeaders(request.headers, provider, apiKey);
+
+    if (provider.transport === 'socket' || provider.proxy) {
+      this.log(`Proxying request to ${targetUrl} over raw socket${provider.proxy ? ' via egress proxy' : ''}`);
+      return this.rawClient.fetch(targetUrl, {
+        method: request.method,
+        headers: cleanHeaders,
+        body: request.body,
+        proxy: provider.proxy,
+        deadline
+      });
+    }
     
     // 2. 创建一个新的请求对象
     // 注意：直接传递原始request的body，因为它是一个可读流
@@ -24,7 +47,8 @@ export class SocketTransport {
       method: request.method,
       headers: cleanHeaders,
       body: request.body,
-      redirect: 'follow'
+      redirect: 'follow',
+      signal: deadline?.signal
     });
 
     this.log(`Proxying request to ${targetUrl}`);
@@ -33,34 +57,39 @@ export class SocketTransport {
     return fetch(proxyReq);
   }
 
-  // 构建干净的请求头：移除所有CF-*头，添加必要的认证头
-  buildCleanHeaders(originalHeaders, hostname, apiKey) {
+  // 构建干净的请求头：只透传白名单中的请求头，认证头只由网关按Provider的认证方式设置
+  // 白名单 = 通用请求头 + wire格式相关请求头 + Provider的allowHeaders
+  buildCleanHeaders(originalHeaders, provider, apiKey) {
     const headers = new Headers();
-    
-    // 复制安全的请求头
+    const allowed = new Set([
+      ...FORWARDED_HEADERS,
+      ...WIRE_FORWARDED_HEADERS[provider.format],
+      ...(provider.allowHeaders || []).map(header => header.toLowerCase())
+    ]);
+
     for (const [key, value] of originalHeaders) {
       const keyLower = key.toLowerCase();
-      // 过滤掉隐私泄露的头部
-      if (!keyLower.startsWith('cf-') && 
-          !keyLower.startsWith('x-forwarded-') &&
-          !['host', 'connection'].includes(keyLower)) {
+      // 客户端自带的凭据（Authorization、x-api-key、Cookie等）永远不转发
+      if (allowed.has(keyLower) && !CREDENTIAL_HEADERS.includes(keyLower)) {
         headers.set(key, value);
       }
     }
+
+    // 统一User-Agent，避免把客户端SDK的指纹带给上游
+    if (provider.userAgent) {
+      headers.set('User-Agent', provider.userAgent);
+    }
     
-    // 设置API认证（统一处理）
-    if (apiKey) {
-      if (hostname.includes('generativelanguage.googleapis.com')) {
-        // Gemini API使用x-goog-api-key
-        headers.set('x-goog-api-key', apiKey);
-      } else if (hostname.includes('api.openai.com')) {
-        // OpenAI API使用Authorization Bearer
-        headers.set('Authorization', `Bearer ${apiKey}`);
-      } else if (hostname.includes('api.anthropic.com')) {
-        // Anthropic API使用x-api-key
-        headers.set('x-api-key', apiKey);
-      }
-    } else {
+    // Provider要求的固定请求头，客户端已携带时以客户端为准
+    for (const [key, value] of Object.entries(provider.headers || {})) {
+      if (!headers.has(key)) headers.set(key, value);
+    }
+
+    // 设置API认证（按Provider声明的认证方式统一处理）
+    const scheme = AUTH_SCHEMES[provider.auth];
+    if (scheme && apiKey) {
+      headers.set(scheme.header, `${scheme.prefix}${apiKey}`);
+    } else if (scheme) {
       this.log("API key is missing.");
     }
     
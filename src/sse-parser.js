@@ -0,0 +1,77 @@
+// SSE解析器 - 所有流式转换共用的事件解析
+// 按WHATWG规范处理：CRLF/LF/CR换行、多行data、event/id字段、注释行，
+// 并使用流式TextDecoder，保证被chunk切断的UTF-8字符不会乱码。
+
+export class SSEParser {
+  constructor() {
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+    this.eventType = '';
+    this.data = [];
+    this.lastEventId = undefined;
+  }
+
+  // 输入一个字节chunk，返回其中完整的事件
+  feed(chunk) {
+    this.buffer += this.decoder.decode(chunk, { stream: true });
+    return this.drain(false);
+  }
+
+  // 上游结束：处理剩余内容，没有以空行结尾的最后一个事件也会被派发
+  end() {
+    this.buffer += this.decoder.decode();
+    return this.drain(true);
+  }
+
+  drain(final) {
+    const events = [];
+    const lineBreak = /\r\n|\r|\n/g;
+    let start = 0;
+    let match;
+
+    while ((match = lineBreak.exec(this.buffer))) {
+      // 末尾单独的\r可能是被切开的\r\n，等下一个chunk再判断
+      if (!final && match[0] === '\r' && match.index === this.buffer.length - 1) break;
+      const event = this.processLine(this.buffer.slice(start, match.index));
+      start = lineBreak.lastIndex;
+      if (event) events.push(event);
+    }
+    this.buffer = this.buffer.slice(start);
+
+    if (final) {
+      if (this.buffer) this.processLine(this.buffer);
+      this.buffer = '';
+      const event = this.dispatch();
+      if (event) events.push(event);
+    }
+    return events;
+  }
+
+  processLine(line) {
+    if (line === '') return this.dispatch();
+    if (line.startsWith(':')) return null; // 注释/心跳
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') {
+      this.data.push(value);
+    } else if (field === 'event') {
+      this.eventType = value;
+    } else if (field === 'id' && !value.includes('\0')) {
+      this.lastEventId = value;
+    }
+    return null;
+  }
+
+  dispatch() {
+    const event = this.data.length > 0
+      ? { event: this.eventType || 'message', data: this.data.join('\n'), id: this.lastEventId }
+      : null;
+    this.eventType = '';
+    this.data = [];
+    return event;
+  }
+}
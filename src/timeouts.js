@@ -0,0 +1,163 @@
+// 超时与取消 - 每次上游请求（每次重试单独计算）一个RequestDeadline，超时或客户端断开时中止请求：
+//   connectMs   建立TCP/TLS连接（含代理握手）的时限，只对socket传输生效
+//   firstByteMs 收到响应头的时限；流式请求为收到第一个数据块
+//   totalMs     整个上游交互的时限，包括流式响应体
+//   idleMs      流式响应相邻两个数据块的最长间隔，超过后以调用方格式的SSE错误事件结束流
+// 默认值可用环境变量覆盖，Provider还可以用timeouts字段单独设置：
+//   { "ollama": { ..., "timeouts": { "firstByteMs": 300000 } } }
+import { isPlainObject } from './config-store.js';
+
+export const DEFAULT_TIMEOUTS = {
+  connectMs: 10 * 1000,
+  firstByteMs: 120 * 1000,
+  totalMs: 10 * 60 * 1000,
+  idleMs: 60 * 1000
+};
+
+const TIMEOUT_ENV_VARS = {
+  connectMs: 'UPSTREAM_CONNECT_TIMEOUT_MS',
+  firstByteMs: 'UPSTREAM_FIRST_BYTE_TIMEOUT_MS',
+  totalMs: 'UPSTREAM_TOTAL_TIMEOUT_MS',
+  idleMs: 'STREAM_IDLE_TIMEOUT_MS'
+};
+
+const TIMEOUT_PHASES = { connectMs: 'connect', firstByteMs: 'first byte', totalMs: 'total', idleMs: 'stream idle' };
+
+export class TimeoutError extends Error {
+  constructor(field, ms) {
+    super(`Upstream ${TIMEOUT_PHASES[field]} timeout after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.status = 504;
+  }
+}
+
+// 客户端已经断开，不再重试，也不会有人收到响应
+export class ClientAbortError extends Error {
+  constructor() {
+    super('Client disconnected');
+    this.name = 'ClientAbortError';
+    this.status = 499;
+  }
+}
+
+export function loadTimeouts(env) {
+  const timeouts = { ...DEFAULT_TIMEOUTS };
+  for (const [field, name] of Object.entries(TIMEOUT_ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid ${name}: must be a positive number of milliseconds`);
+    }
+    timeouts[field] = value;
+  }
+  return timeouts;
+}
+
+export function validateTimeouts(timeouts, path, source) {
+  if (!isPlainObject(timeouts)) {
+    throw new Error(`Invalid ${source}: "${path}" must be an object`);
+  }
+  for (const [field, value] of Object.entries(timeouts)) {
+    if (!(field in DEFAULT_TIMEOUTS)) {
+      throw new Error(`Invalid ${source}: unknown timeout "${path}.${field}". Supported: ${Object.keys(DEFAULT_TIMEOUTS).join(', ')}`);
+    }
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid ${source}: "${path}.${field}" must be a positive number of milliseconds`);
+    }
+  }
+}
+
+export class RequestDeadline {
+  // clientSignal为request.signal：客户端断开时一并中止上游请求
+  constructor(timeouts, clientSignal) {
+    this.timeouts = timeouts;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.timers = new Set();
+    this.clientSignal = clientSignal;
+    this.onClientAbort = () => this.abort(new ClientAbortError());
+
+    if (clientSignal?.aborted) {
+      this.onClientAbort();
+      return;
+    }
+    clientSignal?.addEventListener('abort', this.onClientAbort);
+    this.start('totalMs');
+  }
+
+  // 开始一个阶段的计时，返回停止计时的函数
+  start(field) {
+    const ms = this.timeouts[field];
+    const timer = setTimeout(() => this.abort(new TimeoutError(field, ms)), ms);
+    this.timers.add(timer);
+    return () => {
+      clearTimeout(timer);
+      this.timers.delete(timer);
+    };
+  }
+
+  abort(reason) {
+    if (!this.signal.aborted) this.controller.abort(reason);
+    this.dispose();
+  }
+
+  // 请求被中止后，底层抛出的各种网络错误都换成中止原因（超时或客户端断开）
+  reasonFor(error) {
+    return this.signal.aborted ? this.signal.reason : error;
+  }
+
+  // 上游交互结束，清理计时器和监听
+  dispose() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    this.clientSignal?.removeEventListener('abort', this.onClientAbort);
+  }
+}
+
+// 包装流式响应：逐块计算空闲时间，上游空闲超时或中途出错（总超时、连接断开）时
+// 追加errorEvent(error)生成的SSE错误事件再正常结束流，客户端能看到原因而不是连接被掐断；
+// 客户端取消响应体时中止上游请求。
+export function guardStream(response, deadline, errorEvent) {
+  const reader = response.body.getReader();
+  const encoder = new TextEncoder();
+  const aborted = whenAborted(deadline.signal);
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      const stopIdle = deadline.start('idleMs');
+      try {
+        const { done, value } = await Promise.race([reader.read(), aborted]);
+        stopIdle();
+        if (done) {
+          controller.close();
+          deadline.dispose();
+          return;
+        }
+        controller.enqueue(value);
+      } catch (error) {
+        stopIdle();
+        const reason = deadline.reasonFor(error);
+        console.warn('Upstream stream terminated:', reason.message);
+        controller.enqueue(encoder.encode(errorEvent(reason)));
+        controller.close();
+        deadline.abort(reason);
+        reader.cancel(reason).catch(() => {});
+      }
+    },
+    cancel(reason) {
+      deadline.abort(new ClientAbortError());
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, response);
+}
+
+// signal中止时以中止原因reject；用于和不支持signal的等待（如socket.opened、reader.read()）竞速
+export function whenAborted(signal) {
+  const aborted = new Promise((resolve, reject) => {
+    if (signal?.aborted) reject(signal.reason);
+    signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  aborted.catch(() => {});
+  return aborted;
+}
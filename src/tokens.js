@@ -0,0 +1,163 @@
+// 多租户网关Token - 每个项目/CI系统使用独立Token，可单独限定范围、设置过期和吊销
+// 配置来源：KV(CONFIG_KV中的tokens) > Worker secret GATEWAY_TOKENS，JSON结构：
+//   {
+//     "ci-main": {
+//       "token": "gw-...",
+//       "formats": ["openai"],
+//       "providers": ["gemini"],
+//       "models": ["gemini-2.5-*"],
+//       "expiresAt": "2026-12-31T00:00:00Z"
+//     },
+//     "old-laptop": { "token": "gw-...", "revoked": true }
+//   }
+// formats/providers/models省略时不做限制，models支持*通配符。
+// limits为可选的限流配置，见rate-limit.js；admin为true时可以查看所有Token的用量报表。
+// 未配置GATEWAY_TOKENS时AUTH_TOKEN作为不受限的管理员Token（名称为default）；配置后AUTH_TOKEN不再有效，
+// 除非设置LEGACY_AUTH_TOKEN=true显式保留。AUTH_TOKEN未设置或仍是示例值时不能动用服务端Key，也没有管理员权限。
+import { loadJsonConfig, isPlainObject } from './config-store.js';
+import { globToRegExp } from './model-mapping.js';
+
+const SCOPES = ['formats', 'providers', 'models'];
+const LIMITS = ['requestsPerMinute', 'tokensPerDay', 'concurrentStreams'];
+
+// 代码和wrangler.toml中的AUTH_TOKEN示例值，谁都知道
+const PLACEHOLDER_AUTH_TOKENS = ['your-secure-token', 'your-secure-token-here'];
+
+const tokenEncoder = new TextEncoder();
+
+export class Tenant {
+  constructor(name, definition) {
+    this.name = name;
+    this.token = definition.token;
+    this.revoked = definition.revoked === true;
+    this.admin = definition.admin === true;
+    this.expiresAt = definition.expiresAt ? Date.parse(definition.expiresAt) : null;
+    // scope → 允许值的正则列表；null表示不限制
+    this.scopes = Object.fromEntries(SCOPES.map(scope => [
+      scope,
+      definition[scope] ? definition[scope].map(globToRegExp) : null
+    ]));
+    this.limits = definition.limits || null;
+    // 仍是示例值的AUTH_TOKEN，见loadTokenRegistry
+    this.placeholder = false;
+  }
+
+  // 服务端持有的Key（KEY_POOLS、降级链keyEnv）和管理接口不对示例Token开放，以配置错误拒绝
+  assertTrusted(purpose) {
+    if (this.placeholder) {
+      throw new Error(`AUTH_TOKEN is not set or still the placeholder "${this.token}": set a unique AUTH_TOKEN or use GATEWAY_TOKENS before ${purpose}`);
+    }
+  }
+
+  allows(scope, value) {
+    const patterns = this.scopes[scope];
+    return !patterns || (typeof value === 'string' && patterns.some(regex => regex.test(value)));
+  }
+
+  // 一次请求经过的每个上游（包括降级链中的备用Provider）都必须同时满足三个范围
+  allowsRoute(format, provider, model) {
+    return this.allows('formats', format) && this.allows('providers', provider) && this.allows('models', model);
+  }
+}
+
+export class TokenRegistry {
+  constructor(tenants) {
+    this.tenants = tenants;
+  }
+
+  // 返回 { tenant } 或 { error }；逐个比较全部Token，耗时不随匹配位置变化
+  authenticate(presented) {
+    let match = null;
+    for (const tenant of this.tenants) {
+      if (timingSafeEqual(presented || '', tenant.token) && !match) match = tenant;
+    }
+
+    if (!match) return { error: 'Unauthorized' };
+    if (match.revoked) return { error: `Token "${match.name}" has been revoked` };
+    if (match.expiresAt !== null && Date.now() >= match.expiresAt) {
+      return { error: `Token "${match.name}" expired at ${new Date(match.expiresAt).toISOString()}` };
+    }
+    return { tenant: match };
+  }
+}
+
+export async function loadTokenRegistry(env, config) {
+  const tenants = await loadJsonConfig(env, {
+    kvKey: 'tokens',
+    envVar: 'GATEWAY_TOKENS',
+    build: (tokens, source) => buildTenants(tokens, source),
+    fallback: () => []
+  });
+
+  // 未配置多租户Token时保持原行为；配置后共享的AUTH_TOKEN默认停用，这样才能逐个吊销而不必留一个万能Token
+  const legacyToken = tenants.length === 0
+    ? config.AUTH_TOKEN
+    : (env.LEGACY_AUTH_TOKEN === 'true' ? env.AUTH_TOKEN : null);
+  if (!legacyToken) return new TokenRegistry(tenants);
+
+  // 示例值只能配合客户端自带的上游Key使用，与引入Key池之前的行为一致
+  const placeholder = PLACEHOLDER_AUTH_TOKENS.includes(legacyToken);
+  const legacy = new Tenant('default', { token: legacyToken, admin: !placeholder });
+  legacy.placeholder = placeholder;
+  return new TokenRegistry([...tenants, legacy]);
+}
+
+function buildTenants(tokens, source) {
+  if (!isPlainObject(tokens)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by token name`);
+  }
+
+  const seen = new Set();
+  return Object.entries(tokens).map(([name, definition]) => {
+    if (!isPlainObject(definition)) {
+      throw new Error(`Invalid ${source}: "${name}" must be an object`);
+    }
+    if (typeof definition.token !== 'string' || definition.token.length < 16 || definition.token.includes('/')) {
+      throw new Error(`Invalid ${source}: "${name}.token" must be a URL-safe string of at least 16 characters`);
+    }
+    if (seen.has(definition.token)) {
+      throw new Error(`Invalid ${source}: "${name}.token" is shared with another token`);
+    }
+    seen.add(definition.token);
+
+    for (const scope of SCOPES) {
+      const values = definition[scope];
+      if (values !== undefined && (!Array.isArray(values) || !values.every(value => typeof value === 'string' && value))) {
+        throw new Error(`Invalid ${source}: "${name}.${scope}" must be an array of names`);
+      }
+    }
+    for (const flag of ['revoked', 'admin']) {
+      if (definition[flag] !== undefined && typeof definition[flag] !== 'boolean') {
+        throw new Error(`Invalid ${source}: "${name}.${flag}" must be a boolean`);
+      }
+    }
+    if (definition.limits !== undefined) {
+      if (!isPlainObject(definition.limits)) {
+        throw new Error(`Invalid ${source}: "${name}.limits" must be an object`);
+      }
+      for (const [limit, value] of Object.entries(definition.limits)) {
+        if (!LIMITS.includes(limit)) {
+          throw new Error(`Invalid ${source}: unknown limit "${name}.limits.${limit}". Supported: ${LIMITS.join(', ')}`);
+        }
+        if (!Number.isInteger(value) || value <= 0) {
+          throw new Error(`Invalid ${source}: "${name}.limits.${limit}" must be a positive integer`);
+        }
+      }
+    }
+    if (definition.expiresAt !== undefined && Number.isNaN(Date.parse(definition.expiresAt))) {
+      throw new Error(`Invalid ${source}: "${name}.expiresAt" must be an ISO 8601 date`);
+    }
+    return new Tenant(name, definition);
+  });
+}
+
+// 常量时间比较：长度不同也要比较完整个期望值，不提前返回
+function timingSafeEqual(actual, expected) {
+  const a = tokenEncoder.encode(actual);
+  const b = tokenEncoder.encode(expected);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < b.length; i++) {
+    diff |= (a[i % (a.length || 1)] ?? 0) ^ b[i];
+  }
+  return diff === 0;
+}
@@ -0,0 +1,175 @@
+// 用量记录与成本报表 - 每个完成的请求写入D1（绑定USAGE_DB），按天/模型/Token汇总
+// 价格表来源：KV(CONFIG_KV中的prices) > 环境变量MODEL_PRICES，单位为美元/百万token：
+//   {
+//     "gemini-2.5-pro": { "input": 1.25, "output": 10 },
+//     "gpt-4o*": { "input": 2.5, "output": 10 }
+//   }
+// 模型名支持*通配符，匹配规则同MODEL_MAPPING：精确名称优先，其次是更具体的通配符。
+import { loadJsonConfig, isPlainObject } from './config-store.js';
+import { globToRegExp } from './model-mapping.js';
+
+const USAGE_SCHEMA = `CREATE TABLE IF NOT EXISTS usage_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  token_name TEXT NOT NULL,
+  format TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  status INTEGER NOT NULL,
+  stream INTEGER NOT NULL,
+  input_tokens INTEGER NOT NULL,
+  output_tokens INTEGER NOT NULL,
+  latency_ms INTEGER NOT NULL
+)`;
+const USAGE_INDEX = 'CREATE INDEX IF NOT EXISTS usage_events_day ON usage_events (day, token_name)';
+
+// 报表支持的分组维度 → 列名
+const GROUP_COLUMNS = { day: 'day', model: 'model', token: 'token_name', provider: 'provider' };
+const DEFAULT_GROUP_BY = ['day', 'model', 'token'];
+
+// 每个isolate只需要建一次表
+let usageSchemaReady = null;
+
+export class UsageStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  ensureSchema() {
+    usageSchemaReady ||= this.db.batch([this.db.prepare(USAGE_SCHEMA), this.db.prepare(USAGE_INDEX)])
+      .catch(error => {
+        usageSchemaReady = null;
+        throw error;
+      });
+    return usageSchemaReady;
+  }
+
+  async record(event) {
+    await this.ensureSchema();
+    const createdAt = Date.now();
+    await this.db.prepare(
+      `INSERT INTO usage_events (created_at, day, token_name, format, provider, model, status, stream, input_tokens, output_tokens, latency_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(
+      createdAt, new Date(createdAt).toISOString().slice(0, 10),
+      event.tokenName, event.format, event.provider, event.model, event.status, event.stream ? 1 : 0,
+      event.inputTokens, event.outputTokens, event.latencyMs
+    ).run();
+  }
+
+  // 先按所有维度从D1取出明细汇总，再按请求的分组合并，成本按模型逐行计算
+  async report({ from, to, groupBy = DEFAULT_GROUP_BY, tokenName = null }, prices) {
+    await this.ensureSchema();
+    const { results } = await this.db.prepare(
+      `SELECT day, model, token_name, provider,
+              COUNT(*) AS requests, SUM(input_tokens) AS input_tokens,
+              SUM(output_tokens) AS output_tokens, SUM(latency_ms) AS latency_ms
+       FROM usage_events
+       WHERE day BETWEEN ? AND ? AND (? IS NULL OR token_name = ?)
+       GROUP BY day, model, token_name, provider`
+    ).bind(from, to, tokenName, tokenName).all();
+
+    const groups = new Map();
+    const totals = emptyAggregate({});
+    for (const row of results) {
+      // 兼容旧记录中带models/前缀的Gemini模型名
+      row.model = row.model.replace(/^models\//, '');
+      const keys = Object.fromEntries(groupBy.map(group => [group, row[GROUP_COLUMNS[group]]]));
+      const id = JSON.stringify(keys);
+      if (!groups.has(id)) groups.set(id, emptyAggregate(keys));
+
+      const cost = prices.estimate(row.model, row.input_tokens, row.output_tokens);
+      for (const aggregate of [groups.get(id), totals]) {
+        aggregate.requests += row.requests;
+        aggregate.inputTokens += row.input_tokens;
+        aggregate.outputTokens += row.output_tokens;
+        aggregate.latencyMs += row.latency_ms;
+        if (cost === null) aggregate.unpricedRequests += row.requests;
+        else aggregate.estimatedCost += cost;
+      }
+    }
+
+    return {
+      from,
+      to,
+      groupBy,
+      currency: 'USD',
+      rows: [...groups.values()].map(finishAggregate)
+        .sort((a, b) => String(a.day ?? '').localeCompare(String(b.day ?? '')) || b.estimatedCost - a.estimatedCost),
+      totals: finishAggregate(totals)
+    };
+  }
+}
+
+export class PriceTable {
+  constructor(prices) {
+    const patterns = Object.keys(prices);
+    this.exact = new Map(patterns.filter(model => !model.includes('*')).map(model => [model, prices[model]]));
+    // 与ModelMapper相同：字面部分越长的通配符越具体
+    this.wildcards = patterns.filter(model => model.includes('*'))
+      .sort((a, b) => b.replace(/\*/g, '').length - a.replace(/\*/g, '').length)
+      .map(model => ({ regex: globToRegExp(model), price: prices[model] }));
+  }
+
+  // 返回美元成本；价格表中没有该模型时返回null
+  estimate(model, inputTokens, outputTokens) {
+    const price = this.exact.get(model) || this.wildcards.find(({ regex }) => regex.test(model))?.price;
+    if (!price) return null;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+}
+
+export function loadPriceTable(env) {
+  return loadJsonConfig(env, {
+    kvKey: 'prices',
+    envVar: 'MODEL_PRICES',
+    build: (prices, source) => new PriceTable(validatePrices(prices, source)),
+    fallback: () => new PriceTable({})
+  });
+}
+
+// 解析报表查询参数：?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day,model,token
+// 默认为最近7天（含今天）
+export function parseUsageQuery(searchParams) {
+  const today = new Date().toISOString().slice(0, 10);
+  const weekAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const from = searchParams.get('from') || weekAgo;
+  const to = searchParams.get('to') || today;
+  const groupBy = searchParams.get('groupBy')?.split(',').filter(Boolean) || DEFAULT_GROUP_BY;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return { error: `"${name}" must be a date in YYYY-MM-DD format` };
+    }
+  }
+  const unknown = groupBy.find(group => !GROUP_COLUMNS[group]);
+  if (unknown) {
+    return { error: `Unknown groupBy "${unknown}". Supported: ${Object.keys(GROUP_COLUMNS).join(', ')}` };
+  }
+  return { from, to, groupBy };
+}
+
+function validatePrices(prices, source) {
+  if (!isPlainObject(prices)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by model name`);
+  }
+  for (const [model, price] of Object.entries(prices)) {
+    if (!isPlainObject(price) || !['input', 'output'].every(kind => typeof price[kind] === 'number' && price[kind] >= 0)) {
+      throw new Error(`Invalid ${source}: "${model}" must have numeric "input" and "output" prices per million tokens`);
+    }
+  }
+  return prices;
+}
+
+function emptyAggregate(keys) {
+  return { ...keys, requests: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, estimatedCost: 0, unpricedRequests: 0 };
+}
+
+function finishAggregate({ latencyMs, estimatedCost, ...aggregate }) {
+  return {
+    ...aggregate,
+    avgLatencyMs: aggregate.requests ? Math.round(latencyMs / aggregate.requests) : 0,
+    estimatedCost: Math.round(estimatedCost * 1e6) / 1e6
+  };
+}
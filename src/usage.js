@@ -0,0 +1,102 @@
+// 用量计量 - 从返回给调用方的响应中读取token用量
+// 此时响应已经转换为调用方格式，只需要认识Claude和OpenAI两种usage结构
+import { SSEParser } from './sse-parser.js';
+
+// 包装响应：响应体读完或被客户端取消时调用一次onComplete({ inputTokens, outputTokens })
+// hideUsage为true时，网关替调用方打开了include_usage，读出OpenAI流式的usage chunk后不再转发
+export function meterResponse(response, format, onComplete, { hideUsage = false } = {}) {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let reported = false;
+  const report = () => {
+    if (reported) return;
+    reported = true;
+    onComplete(usage);
+  };
+
+  if (!response.ok || !response.body) {
+    report();
+    return response;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    response.clone().json()
+      .then(data => readUsage(format, data, usage), () => {})
+      .finally(report);
+    return response;
+  }
+
+  // 流式响应：边转发边解析SSE事件，不改变转发的字节；hideUsage时按事件重新编码，跳过usage chunk
+  const parser = new SSEParser();
+  const reader = response.body.getReader();
+  const encoder = new TextEncoder();
+  const observe = events => {
+    let forwarded = '';
+    for (const event of events) {
+      if (event.data && event.data !== '[DONE]') {
+        try {
+          const data = JSON.parse(event.data);
+          readUsage(format, data, usage);
+          if (hideUsage && data.usage && Array.isArray(data.choices) && data.choices.length === 0) continue;
+        } catch (e) {
+          // 非JSON事件与用量无关
+        }
+      }
+      forwarded += encodeEvent(event);
+    }
+    return forwarded;
+  };
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        // 重新编码时一个chunk可能还凑不成完整事件，继续读直到有内容可转发
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            const rest = observe(parser.end());
+            if (hideUsage && rest) controller.enqueue(encoder.encode(rest));
+            controller.close();
+            report();
+            return;
+          }
+          const forwarded = observe(parser.feed(value));
+          if (!hideUsage) {
+            controller.enqueue(value);
+            return;
+          }
+          if (forwarded) {
+            controller.enqueue(encoder.encode(forwarded));
+            return;
+          }
+        }
+      } catch (error) {
+        report();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      report();
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, response);
+}
+
+function encodeEvent({ event, data }) {
+  const type = event && event !== 'message' ? `event: ${event}\n` : '';
+  return `${type}${data.split('\n').map(line => `data: ${line}`).join('\n')}\n\n`;
+}
+
+// Claude流式的message_start带输入用量，message_delta带累计的输出用量；
+// OpenAI只在usage字段中，流式时由最后一个只携带usage的chunk给出（转换流和透传都会保证有这个chunk）
+function readUsage(format, data, usage) {
+  const source = format === 'claude' ? (data.message?.usage || data.usage) : data.usage;
+  if (!source) return usage;
+
+  const input = format === 'claude' ? source.input_tokens : source.prompt_tokens;
+  const output = format === 'claude' ? source.output_tokens : source.completion_tokens;
+  if (typeof input === 'number' && input > 0) usage.inputTokens = input;
+  if (typeof output === 'number') usage.outputTokens = output;
+  return usage;
+}
@@ -0,0 +1,274 @@
+// 原始Socket HTTP客户端测试 - 对着本地TCP服务验证报文解析和代理握手，不需要部署Worker
+// 运行：node test-raw-http.mjs（Node 20.6+）
+// src/raw-http.js依赖cloudflare:sockets，这里用模块钩子换成占位实现，再给RawHttpClient注入基于node:net的connect
+import net from 'node:net';
+import zlib from 'node:zlib';
+import { Duplex } from 'node:stream';
+import { register } from 'node:module';
+
+const SRC_DIR = new URL('./src/', import.meta.url).href;
+const hooks = `
+  export async function resolve(specifier, context, next) {
+    if (specifier === 'cloudflare:sockets') {
+      return { url: 'data:text/javascript,export function connect() { throw new Error("cloudflare:sockets is not available in Node"); }', shortCircuit: true };
+    }
+    return next(specifier, context);
+  }
+  export async function load(url, context, next) {
+    // src/下是ES模块，但package.json没有声明type: module
+    if (url.startsWith(${JSON.stringify(SRC_DIR)})) return next(url, { ...context, format: 'module' });
+    return next(url, context);
+  }
+`;
+register(`data:text/javascript,${encodeURIComponent(hooks)}`);
+const { RawHttpClient } = await import('./src/raw-http.js');
+const { RequestDeadline, DEFAULT_TIMEOUTS, TimeoutError } = await import('./src/timeouts.js');
+
+// cloudflare:sockets的Socket接口：{ opened, readable, writable, close(), startTls() }
+// 不做真正的TLS握手：startTls()返回同一条明文连接的新Socket，和Workers一样，原Socket此后不再可用（close()无效）
+function nodeConnect({ hostname, port }) {
+  const socket = net.connect(port, hostname);
+  const opened = new Promise((resolve, reject) => {
+    socket.once('connect', resolve);
+    socket.once('error', reject);
+  });
+  opened.catch(() => {});
+  const { readable, writable } = Duplex.toWeb(socket);
+  let upgraded = false;
+  return {
+    opened,
+    readable,
+    writable,
+    close: async () => { if (!upgraded) socket.destroy(); },
+    startTls: () => {
+      upgraded = true;
+      return { opened: Promise.resolve(), readable, writable, close: async () => socket.destroy() };
+    }
+  };
+}
+
+// 本地TCP服务：收到完整的请求头后调用handler(socket, head)，由handler按字节写出响应
+async function listen(handler) {
+  const server = net.createServer(socket => {
+    socket.on('error', () => {});
+    let received = Buffer.alloc(0);
+    const onData = data => {
+      received = Buffer.concat([received, data]);
+      const end = received.indexOf('\r\n\r\n');
+      if (end === -1) return;
+      socket.off('data', onData);
+      handler(socket, received.subarray(0, end).toString(), received.subarray(end + 4));
+    };
+    socket.on('data', onData);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+function assertEqual(actual, expected, label) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    throw new Error(`${label}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+  }
+}
+
+const client = new RawHttpClient(nodeConnect);
+const servers = [];
+const TESTS = [];
+const test = (name, fn) => TESTS.push({ name, fn });
+// 单个用例卡住（例如中止没有生效）时按失败处理
+const TEST_TIMEOUT_MS = 5000;
+
+test('Content-Length响应体，请求头与请求体按原样发出', async () => {
+  let seen;
+  const { server, url } = await listen((socket, head, rest) => {
+    seen = { head, body: rest.toString() };
+    socket.end('HTTP/1.1 200 OK\r\nContent-Type: application/json\r\nContent-Length: 11\r\n\r\n{"ok":true}');
+  });
+  servers.push(server);
+  const response = await client.fetch(`${url}/v1/echo?x=1`, {
+    method: 'POST',
+    headers: new Headers({ 'content-type': 'application/json', 'content-length': '999', 'x-test': 'a' }),
+    body: '{"q":1}'
+  });
+  assertEqual(response.status, 200, 'status');
+  assertEqual(await response.json(), { ok: true }, 'body');
+  const lines = seen.head.split('\r\n');
+  assertEqual(lines[0], 'POST /v1/echo?x=1 HTTP/1.1', 'request line');
+  assertEqual(lines.filter(line => /^content-length:/i.test(line)), ['Content-Length: 7'], 'content-length');
+  assertEqual(lines.includes('x-test: a'), true, 'forwarded header');
+  assertEqual(seen.body, '{"q":1}', 'request body');
+});
+
+test('chunked响应体：分多次写出、带chunk扩展和trailer', async () => {
+  const { server, url } = await listen(socket => {
+    socket.write('HTTP/1.1 200 OK\r\nTransfer-Encoding: chunked\r\n\r\n5;ext=1\r\nHel');
+    setTimeout(() => socket.write('lo\r\n6\r\n, worl\r\n'), 10);
+    setTimeout(() => socket.end('1\r\nd\r\n0\r\nX-Trailer: yes\r\n\r\n'), 20);
+  });
+  servers.push(server);
+  const response = await client.fetch(url);
+  assertEqual(response.headers.has('transfer-encoding'), false, 'transfer-encoding removed');
+  assertEqual(await response.text(), 'Hello, world', 'body');
+});
+
+test('没有长度信息时读到连接关闭为止', async () => {
+  const { server, url } = await listen(socket => {
+    socket.write('HTTP/1.0 200 OK\r\nContent-Type: text/plain\r\n\r\nfirst ');
+    setTimeout(() => socket.end('second'), 10);
+  });
+  servers.push(server);
+  assertEqual(await (await client.fetch(url)).text(), 'first second', 'body');
+});
+
+test('跳过100 Continue等1xx中间响应', async () => {
+  const { server, url } = await listen(socket => {
+    socket.end('HTTP/1.1 100 Continue\r\n\r\nHTTP/1.1 103 Early Hints\r\nLink: </a>\r\n\r\n' +
+      'HTTP/1.1 201 Created\r\nContent-Length: 2\r\n\r\nok');
+  });
+  servers.push(server);
+  const response = await client.fetch(url, { method: 'POST', body: '{}' });
+  assertEqual([response.status, response.statusText, await response.text()], [201, 'Created', 'ok'], 'final response');
+});
+
+test('上游无视Accept-Encoding返回gzip时自行解压', async () => {
+  const gzipped = zlib.gzipSync('compressed body');
+  const { server, url } = await listen(socket => {
+    socket.write(`HTTP/1.1 200 OK\r\nContent-Encoding: gzip\r\nContent-Length: ${gzipped.length}\r\n\r\n`);
+    socket.end(gzipped);
+  });
+  servers.push(server);
+  const response = await client.fetch(url);
+  assertEqual(response.headers.has('content-encoding'), false, 'content-encoding removed');
+  assertEqual(await response.text(), 'compressed body', 'body');
+});
+
+test('204和HEAD响应没有响应体', async () => {
+  const { server, url } = await listen((socket, head) => {
+    socket.end(head.startsWith('HEAD')
+      ? 'HTTP/1.1 200 OK\r\nContent-Length: 100\r\n\r\n'
+      : 'HTTP/1.1 204 No Content\r\n\r\n');
+  });
+  servers.push(server);
+  assertEqual((await client.fetch(url, { method: 'DELETE' })).body, null, '204 body');
+  assertEqual((await client.fetch(url, { method: 'HEAD' })).body, null, 'HEAD body');
+});
+
+test('响应在Content-Length之前断开时报错', async () => {
+  const { server, url } = await listen(socket => {
+    socket.end('HTTP/1.1 200 OK\r\nContent-Length: 50\r\n\r\ntruncated');
+  });
+  servers.push(server);
+  const response = await client.fetch(url);
+  let error = null;
+  await response.text().catch(e => { error = e; });
+  assertEqual(/closed before the response was complete/.test(error?.message), true, 'truncation error');
+});
+
+test('经过HTTP CONNECT代理（带认证），拒绝时报告代理的状态码', async () => {
+  const target = await listen(socket => socket.end('HTTP/1.1 200 OK\r\nContent-Length: 6\r\n\r\ntunnel'));
+  let authorization;
+  const proxy = await listen((socket, head) => {
+    authorization = /proxy-authorization: (.*)/i.exec(head)?.[1];
+    if (authorization !== `Basic ${Buffer.from('user:p@ss').toString('base64')}`) {
+      socket.end('HTTP/1.1 407 Proxy Authentication Required\r\n\r\n');
+      return;
+    }
+    const [, port] = /^CONNECT 127\.0\.0\.1:(\d+) /.exec(head);
+    const upstream = net.connect(Number(port), '127.0.0.1', () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      socket.pipe(upstream).pipe(socket);
+    });
+    upstream.on('error', () => socket.destroy());
+  });
+  servers.push(target.server, proxy.server);
+  const proxyUrl = proxy.url.replace('http://', 'http://user:p%40ss@');
+  assertEqual(await (await client.fetch(target.url, { proxy: proxyUrl })).text(), 'tunnel', 'body through proxy');
+
+  let error = null;
+  await client.fetch(target.url, { proxy: proxy.url }).catch(e => { error = e; });
+  assertEqual(/refused CONNECT .*: 407/.test(error?.message), true, 'proxy rejection');
+});
+
+test('经过SOCKS5代理（用户名/密码认证）', async () => {
+  const target = await listen(socket => socket.end('HTTP/1.1 200 OK\r\nContent-Length: 5\r\n\r\nsocks'));
+  const proxy = net.createServer(socket => {
+    socket.on('error', () => {});
+    const steps = [
+      // 只接受用户名/密码认证
+      data => socket.write(Buffer.from([5, data.subarray(2).includes(2) ? 2 : 0xff])),
+      data => {
+        const user = data.subarray(2, 2 + data[1]).toString();
+        const pass = data.subarray(3 + data[1]).toString();
+        socket.write(Buffer.from([1, user === 'u' && pass === 'p' ? 0 : 1]));
+      },
+      data => {
+        const port = data.readUInt16BE(data.length - 2);
+        const upstream = net.connect(port, '127.0.0.1', () => {
+          socket.write(Buffer.from([5, 0, 0, 1, 127, 0, 0, 1, 0, 0]));
+          socket.pipe(upstream).pipe(socket);
+        });
+        upstream.on('error', () => socket.destroy());
+      }
+    ];
+    socket.on('data', function onData(data) {
+      const step = steps.shift();
+      if (!steps.length) socket.off('data', onData);
+      step(data);
+    });
+  });
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+  servers.push(target.server, proxy);
+  const proxyUrl = `socks5://u:p@127.0.0.1:${proxy.address().port}`;
+  assertEqual(await (await client.fetch(target.url, { proxy: proxyUrl })).text(), 'socks', 'body through proxy');
+});
+
+test('经过代理的https请求在首字节超时时中止并关闭连接', async () => {
+  let targetClosed;
+  const target = await listen(socket => {
+    // 收到请求后不响应，等待客户端关闭连接
+    targetClosed = new Promise(resolve => socket.on('close', resolve));
+  });
+  const proxy = await listen((socket, head) => {
+    const [, port] = /^CONNECT 127\.0\.0\.1:(\d+) /.exec(head);
+    const upstream = net.connect(Number(port), '127.0.0.1', () => {
+      socket.write('HTTP/1.1 200 Connection Established\r\n\r\n');
+      socket.pipe(upstream).pipe(socket);
+    });
+    upstream.on('error', () => socket.destroy());
+    socket.on('close', () => upstream.destroy());
+  });
+  servers.push(target.server, proxy.server);
+
+  const deadline = new RequestDeadline({ ...DEFAULT_TIMEOUTS, firstByteMs: 100 });
+  deadline.start('firstByteMs');
+  const startedAt = Date.now();
+  let error = null;
+  const httpsUrl = target.url.replace('http://', 'https://');
+  await client.fetch(httpsUrl, { proxy: proxy.url, deadline }).catch(e => { error = e; });
+  deadline.dispose();
+  assertEqual(error instanceof TimeoutError, true, `timeout error (got ${error})`);
+  assertEqual(Date.now() - startedAt < 2000, true, 'aborted promptly');
+  await Promise.race([targetClosed, new Promise((resolve, reject) => setTimeout(() => reject(new Error('target connection left open')), 1000))]);
+});
+
+async function runAllTests() {
+  console.log('🧪 Raw socket HTTP client');
+  let failed = 0;
+  for (const { name, fn } of TESTS) {
+    try {
+      await Promise.race([fn(), new Promise((resolve, reject) =>
+        setTimeout(() => reject(new Error(`timed out after ${TEST_TIMEOUT_MS}ms`)), TEST_TIMEOUT_MS).unref())]);
+      console.log(`✅ ${name}`);
+    } catch (error) {
+      failed++;
+      console.log(`❌ ${name}`);
+      console.log(`   ${error.message}`);
+    }
+  }
+  for (const server of servers) server.close();
+  console.log(`\n${TESTS.length - failed}/${TESTS.length} passed`);
+  // 卡住的用例可能留下未关闭的连接，直接退出
+  process.exit(failed ? 1 : 0);
+}
+
+await runAllTests();
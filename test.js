@@ -96,16 +96,75 @@ const TESTS = {
   }
 };
 
+// 对话以外的接口：模型列表、embeddings、token计数和管理接口
+const EXTRA_TESTS = {
+  models_openai: {
+    method: 'GET',
+    url: `${API_BASE}/${AUTH_TOKEN}/openai/gemini/v1/models`,
+    headers: { 'authorization': 'Bearer YOUR_GEMINI_API_KEY' }
+  },
+  models_claude: {
+    method: 'GET',
+    url: `${API_BASE}/${AUTH_TOKEN}/claude/gemini/v1/models`,
+    headers: { 'x-api-key': 'YOUR_GEMINI_API_KEY' }
+  },
+  embeddings: {
+    url: `${API_BASE}/${AUTH_TOKEN}/openai/gemini/v1/embeddings`,
+    headers: {
+      'authorization': 'Bearer YOUR_GEMINI_API_KEY',
+      'Content-Type': 'application/json'
+    },
+    body: {
+      model: 'text-embedding-004',
+      input: ['Say hello in Chinese', 'Say goodbye in Chinese']
+    }
+  },
+  count_tokens_gemini: {
+    url: `${API_BASE}/${AUTH_TOKEN}/claude/gemini/v1/messages/count_tokens`,
+    headers: {
+      'x-api-key': 'YOUR_GEMINI_API_KEY',
+      'Content-Type': 'application/json'
+    },
+    body: {
+      model: 'gemini-2.5-flash',
+      messages: [
+        { role: 'user', content: 'Say hello in Chinese' }
+      ]
+    }
+  },
+  // openai上游在网关本地估算，不需要上游API Key
+  count_tokens_openai: {
+    url: `${API_BASE}/${AUTH_TOKEN}/claude/openai/v1/messages/count_tokens`,
+    headers: { 'Content-Type': 'application/json' },
+    body: {
+      model: 'gpt-4o-mini',
+      messages: [
+        { role: 'user', content: 'Say hello in Chinese' }
+      ]
+    }
+  },
+  admin_usage: {
+    method: 'GET',
+    url: `${API_BASE}/${AUTH_TOKEN}/admin/usage?groupBy=day,model`,
+    headers: {}
+  },
+  admin_headers: {
+    method: 'GET',
+    url: `${API_BASE}/${AUTH_TOKEN}/admin/headers?provider=gemini`,
+    headers: { 'x-api-key': 'YOUR_GEMINI_API_KEY' }
+  }
+};
+
 async function runTest(name, config) {
   console.log(`\n🧪 Testing ${name}...`);
   console.log(`URL: ${config.url}`);
-  console.log(`Stream: ${config.body.stream || false}`);
+  console.log(`Stream: ${config.body?.stream || false}`);
   
   try {
     const response = await fetch(config.url, {
-      method: 'POST',
+      method: config.method || 'POST',
       headers: config.headers,
-      body: JSON.stringify(config.body)
+      body: config.body && JSON.stringify(config.body)
     });
     
     console.log(`Status: ${response.status}`);
@@ -168,6 +227,16 @@ async function runAllTests() {
   await runTest('OpenAI → Gemini', TESTS.openai.gemini);
   await runTest('OpenAI → Gemini (Stream)', TESTS.openai.gemini_stream);
   await runTest('OpenAI → OpenAI', TESTS.openai.openai);
+
+  // 其他接口
+  console.log('\n🟣 Testing Models, Embeddings, Token Counting and Admin...');
+  await runTest('Models (OpenAI format)', EXTRA_TESTS.models_openai);
+  await runTest('Models (Claude format)', EXTRA_TESTS.models_claude);
+  await runTest('Embeddings → Gemini', EXTRA_TESTS.embeddings);
+  await runTest('Count Tokens → Gemini', EXTRA_TESTS.count_tokens_gemini);
+  await runTest('Count Tokens → OpenAI (local estimate)', EXTRA_TESTS.count_tokens_openai);
+  await runTest('Admin Usage Report', EXTRA_TESTS.admin_usage);
+  await runTest('Admin Upstream Headers', EXTRA_TESTS.admin_headers);
   
   console.log('\n✨ Test suite completed!');
   console.log('\n📖 Manual Testing Commands:');
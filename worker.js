@@ -1,16 +1,737 @@
 
 // Dual-Mode AI Proxy Worker
 // 双模式AI代理网关 - 支持Claude和OpenAI格式，提供Socket隐私保护
-// Generated at: 2025-08-30T17:18:47.014Z
+// Generated at: 2026-10-19T08:37:47.495Z
+
+import { connect } from 'cloudflare:sockets';
+
+// ===== Config Store =====
+// 动态配置读取 - KV命名空间CONFIG_KV优先，其次是环境变量
+// 解析与校验后的结果缓存在isolate内：KV内容按TTL刷新，环境变量内容不变时直接复用
+
+const KV_CACHE_TTL_MS = 60 * 1000;
+
+const cache = new Map(); // kvKey → { raw, value, loadedAt }
+
+// build(parsed, source)负责校验并构造配置对象；两个来源都为空时使用fallback()
+async function loadJsonConfig(env, { kvKey, envVar, build, fallback }) {
+  const now = Date.now();
+  const cached = cache.get(kvKey);
+  if (cached && env.CONFIG_KV && now - cached.loadedAt < KV_CACHE_TTL_MS) {
+    return cached.value;
+  }
+
+  let raw = env.CONFIG_KV ? await env.CONFIG_KV.get(kvKey) : null;
+  let source = `KV ${kvKey}`;
+  if (!raw) {
+    raw = env[envVar] || null;
+    source = envVar;
+  }
+
+  // 内容未变化时复用已解析的结果
+  if (cached && cached.raw === raw) {
+    cached.loadedAt = now;
+    return cached.value;
+  }
+
+  const value = raw ? build(parseJson(raw, source), source) : fallback();
+  cache.set(kvKey, { raw, value, loadedAt: now });
+  return value;
+}
+
+function parseJson(raw, source) {
+  try {
+    return JSON.parse(raw);
+  } catch (e) {
+    throw new Error(`Invalid ${source}: ${e.message}`);
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// ===== Timeouts =====
+// 超时与取消 - 每次上游请求（每次重试单独计算）一个RequestDeadline，超时或客户端断开时中止请求：
+//   connectMs   建立TCP/TLS连接（含代理握手）的时限，只对socket传输生效
+//   firstByteMs 收到响应头的时限；流式请求为收到第一个数据块
+//   totalMs     整个上游交互的时限，包括流式响应体
+//   idleMs      流式响应相邻两个数据块的最长间隔，超过后以调用方格式的SSE错误事件结束流
+// 默认值可用环境变量覆盖，Provider还可以用timeouts字段单独设置：
+//   { "ollama": { ..., "timeouts": { "firstByteMs": 300000 } } }
+
+const DEFAULT_TIMEOUTS = {
+  connectMs: 10 * 1000,
+  firstByteMs: 120 * 1000,
+  totalMs: 10 * 60 * 1000,
+  idleMs: 60 * 1000
+};
+
+const TIMEOUT_ENV_VARS = {
+  connectMs: 'UPSTREAM_CONNECT_TIMEOUT_MS',
+  firstByteMs: 'UPSTREAM_FIRST_BYTE_TIMEOUT_MS',
+  totalMs: 'UPSTREAM_TOTAL_TIMEOUT_MS',
+  idleMs: 'STREAM_IDLE_TIMEOUT_MS'
+};
+
+const TIMEOUT_PHASES = { connectMs: 'connect', firstByteMs: 'first byte', totalMs: 'total', idleMs: 'stream idle' };
+
+class TimeoutError extends Error {
+  constructor(field, ms) {
+    super(`Upstream ${TIMEOUT_PHASES[field]} timeout after ${ms}ms`);
+    this.name = 'TimeoutError';
+    this.status = 504;
+  }
+}
+
+// 客户端已经断开，不再重试，也不会有人收到响应
+class ClientAbortError extends Error {
+  constructor() {
+    super('Client disconnected');
+    this.name = 'ClientAbortError';
+    this.status = 499;
+  }
+}
+
+function loadTimeouts(env) {
+  const timeouts = { ...DEFAULT_TIMEOUTS };
+  for (const [field, name] of Object.entries(TIMEOUT_ENV_VARS)) {
+    if (env[name] === undefined || env[name] === '') continue;
+    const value = Number(env[name]);
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid ${name}: must be a positive number of milliseconds`);
+    }
+    timeouts[field] = value;
+  }
+  return timeouts;
+}
+
+function validateTimeouts(timeouts, path, source) {
+  if (!isPlainObject(timeouts)) {
+    throw new Error(`Invalid ${source}: "${path}" must be an object`);
+  }
+  for (const [field, value] of Object.entries(timeouts)) {
+    if (!(field in DEFAULT_TIMEOUTS)) {
+      throw new Error(`Invalid ${source}: unknown timeout "${path}.${field}". Supported: ${Object.keys(DEFAULT_TIMEOUTS).join(', ')}`);
+    }
+    if (!Number.isInteger(value) || value <= 0) {
+      throw new Error(`Invalid ${source}: "${path}.${field}" must be a positive number of milliseconds`);
+    }
+  }
+}
+
+class RequestDeadline {
+  // clientSignal为request.signal：客户端断开时一并中止上游请求
+  constructor(timeouts, clientSignal) {
+    this.timeouts = timeouts;
+    this.controller = new AbortController();
+    this.signal = this.controller.signal;
+    this.timers = new Set();
+    this.clientSignal = clientSignal;
+    this.onClientAbort = () => this.abort(new ClientAbortError());
+
+    if (clientSignal?.aborted) {
+      this.onClientAbort();
+      return;
+    }
+    clientSignal?.addEventListener('abort', this.onClientAbort);
+    this.start('totalMs');
+  }
+
+  // 开始一个阶段的计时，返回停止计时的函数
+  start(field) {
+    const ms = this.timeouts[field];
+    const timer = setTimeout(() => this.abort(new TimeoutError(field, ms)), ms);
+    this.timers.add(timer);
+    return () => {
+      clearTimeout(timer);
+      this.timers.delete(timer);
+    };
+  }
+
+  abort(reason) {
+    if (!this.signal.aborted) this.controller.abort(reason);
+    this.dispose();
+  }
+
+  // 请求被中止后，底层抛出的各种网络错误都换成中止原因（超时或客户端断开）
+  reasonFor(error) {
+    return this.signal.aborted ? this.signal.reason : error;
+  }
+
+  // 上游交互结束，清理计时器和监听
+  dispose() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    this.clientSignal?.removeEventListener('abort', this.onClientAbort);
+  }
+}
+
+// 包装流式响应：逐块计算空闲时间，上游空闲超时或中途出错（总超时、连接断开）时
+// 追加errorEvent(error)生成的SSE错误事件再正常结束流，客户端能看到原因而不是连接被掐断；
+// 客户端取消响应体时中止上游请求。
+function guardStream(response, deadline, errorEvent) {
+  const reader = response.body.getReader();
+  const encoder = new TextEncoder();
+  const aborted = whenAborted(deadline.signal);
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      const stopIdle = deadline.start('idleMs');
+      try {
+        const { done, value } = await Promise.race([reader.read(), aborted]);
+        stopIdle();
+        if (done) {
+          controller.close();
+          deadline.dispose();
+          return;
+        }
+        controller.enqueue(value);
+      } catch (error) {
+        stopIdle();
+        const reason = deadline.reasonFor(error);
+        console.warn('Upstream stream terminated:', reason.message);
+        controller.enqueue(encoder.encode(errorEvent(reason)));
+        controller.close();
+        deadline.abort(reason);
+        reader.cancel(reason).catch(() => {});
+      }
+    },
+    cancel(reason) {
+      deadline.abort(new ClientAbortError());
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, response);
+}
+
+// signal中止时以中止原因reject；用于和不支持signal的等待（如socket.opened、reader.read()）竞速
+function whenAborted(signal) {
+  const aborted = new Promise((resolve, reject) => {
+    if (signal?.aborted) reject(signal.reason);
+    signal?.addEventListener('abort', () => reject(signal.reason), { once: true });
+  });
+  aborted.catch(() => {});
+  return aborted;
+}
+
+// ===== Providers =====
+// Provider注册表 - 内置gemini/openai/anthropic，可通过配置追加OpenAI兼容等自定义上游
+// 配置来源：KV(CONFIG_KV中的providers) > 环境变量PROVIDERS，JSON结构：
+//   {
+//     "deepseek": { "baseUrl": "https://api.deepseek.com/v1", "format": "openai", "auth": "bearer" },
+//     "azure": {
+//       "baseUrl": "https://my-resource.openai.azure.com/openai/deployments/{model}",
+//       "format": "openai", "auth": "api-key", "query": { "api-version": "2024-10-21" }
+//     }
+//   }
+// baseUrl需包含API版本路径；{model}会替换为映射后的模型名。
+// 与内置Provider同名时按字段覆盖（例如给anthropic换一个baseUrl）。
+
+const BUILTIN_PROVIDERS = {
+  'gemini': {
+    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+    format: 'gemini',
+    auth: 'x-goog-api-key'
+  },
+  'openai': {
+    baseUrl: 'https://api.openai.com/v1',
+    format: 'openai',
+    auth: 'bearer'
+  },
+  'anthropic': {
+    baseUrl: 'https://api.anthropic.com/v1',
+    format: 'anthropic',
+    auth: 'x-api-key',
+    // 客户端未携带时补上，OpenAI格式的客户端不会发送这个头
+    headers: { 'anthropic-version': '2023-06-01' }
+  }
+};
+
+// 上游的wire格式，决定请求/响应如何转换
+const WIRE_FORMATS = ['gemini', 'openai', 'anthropic'];
+
+// 凭据类请求头：客户端携带的一律不转发，也不能加入allowHeaders
+const CREDENTIAL_HEADERS = ['authorization', 'proxy-authorization', 'x-api-key', 'x-goog-api-key', 'api-key', 'cookie'];
+
+// 上游传输方式：fetch为Workers原生fetch，socket为cloudflare:sockets的原始连接
+const TRANSPORTS = ['fetch', 'socket'];
+
+// 出站代理协议：HTTP CONNECT与SOCKS5
+const PROXY_PROTOCOLS = ['http:', 'socks5:'];
+
+// 认证方式 → 请求头
+const AUTH_SCHEMES = {
+  'bearer': { header: 'Authorization', prefix: 'Bearer ' },
+  'x-api-key': { header: 'x-api-key', prefix: '' },
+  'x-goog-api-key': { header: 'x-goog-api-key', prefix: '' },
+  'api-key': { header: 'api-key', prefix: '' }, // Azure OpenAI
+  'none': null // 本地vLLM/Ollama等无需认证的上游
+};
+
+function loadProviders(env) {
+  return loadJsonConfig(env, {
+    kvKey: 'providers',
+    envVar: 'PROVIDERS',
+    build: (custom, source) => buildProviders(custom, source),
+    fallback: () => BUILTIN_PROVIDERS
+  });
+}
+
+function buildProviders(custom, source) {
+  if (!isPlainObject(custom)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by provider name`);
+  }
+
+  const providers = { ...BUILTIN_PROVIDERS };
+  for (const [name, definition] of Object.entries(custom)) {
+    if (!/^[a-z0-9][a-z0-9_-]*$/i.test(name)) {
+      throw new Error(`Invalid ${source}: provider name "${name}" must be URL-safe`);
+    }
+    if (!isPlainObject(definition)) {
+      throw new Error(`Invalid ${source}: "${name}" must be an object`);
+    }
+    providers[name] = { ...BUILTIN_PROVIDERS[name], ...definition };
+    validateProvider(name, providers[name], source);
+  }
+  return providers;
+}
+
+function validateProvider(name, provider, source) {
+  try {
+    new URL(String(provider.baseUrl).replace('{model}', 'model'));
+  } catch (e) {
+    throw new Error(`Invalid ${source}: "${name}.baseUrl" must be an absolute URL`);
+  }
+  if (!WIRE_FORMATS.includes(provider.format)) {
+    throw new Error(`Invalid ${source}: "${name}.format" must be one of ${WIRE_FORMATS.join(', ')}`);
+  }
+  if (!(provider.auth in AUTH_SCHEMES)) {
+    throw new Error(`Invalid ${source}: "${name}.auth" must be one of ${Object.keys(AUTH_SCHEMES).join(', ')}`);
+  }
+  if (provider.transport !== undefined && !TRANSPORTS.includes(provider.transport)) {
+    throw new Error(`Invalid ${source}: "${name}.transport" must be one of ${TRANSPORTS.join(', ')}`);
+  }
+  if (provider.proxy !== undefined) {
+    validateProxy(name, provider, source);
+  }
+  if (provider.timeouts !== undefined) {
+    validateTimeouts(provider.timeouts, `${name}.timeouts`, source);
+  }
+  if (provider.allowHeaders !== undefined) {
+    if (!Array.isArray(provider.allowHeaders) || !provider.allowHeaders.every(header => typeof header === 'string' && /^[a-z0-9-]+$/i.test(header))) {
+      throw new Error(`Invalid ${source}: "${name}.allowHeaders" must be an array of header names`);
+    }
+    const credential = provider.allowHeaders.find(header => CREDENTIAL_HEADERS.includes(header.toLowerCase()));
+    if (credential) {
+      throw new Error(`Invalid ${source}: "${name}.allowHeaders" cannot forward the credential header "${credential}"`);
+    }
+  }
+  if (provider.userAgent !== undefined && (typeof provider.userAgent !== 'string' || !provider.userAgent)) {
+    throw new Error(`Invalid ${source}: "${name}.userAgent" must be a non-empty string`);
+  }
+  for (const field of ['headers', 'query']) {
+    if (provider[field] !== undefined && !isPlainObject(provider[field])) {
+      throw new Error(`Invalid ${source}: "${name}.${field}" must be an object`);
+    }
+  }
+}
+
+// proxy为一个代理URL或按顺序经过的代理URL列表，只能走socket传输
+function validateProxy(name, provider, source) {
+  const proxies = [].concat(provider.proxy);
+  if (proxies.length === 0 || !proxies.every(proxy => typeof proxy === 'string')) {
+    throw new Error(`Invalid ${source}: "${name}.proxy" must be a proxy URL or an array of proxy URLs`);
+  }
+  for (const proxy of proxies) {
+    let url;
+    try {
+      url = new URL(proxy);
+    } catch (e) {
+      throw new Error(`Invalid ${source}: "${name}.proxy" entry "${proxy}" is not a valid URL`);
+    }
+    if (!PROXY_PROTOCOLS.includes(url.protocol) || !url.hostname) {
+      throw new Error(`Invalid ${source}: "${name}.proxy" entries must be http:// (CONNECT) or socks5:// proxy URLs`);
+    }
+  }
+  if (provider.transport === 'fetch') {
+    throw new Error(`Invalid ${source}: "${name}.proxy" requires the socket transport`);
+  }
+}
+
+// 构建上游完整URL：baseUrl + 端点 + Provider固定的查询参数
+function buildProviderUrl(provider, endpoint, model) {
+  const base = provider.baseUrl.replace('{model}', encodeURIComponent(model || '')).replace(/\/+$/, '');
+  const url = new URL(`${base}/${endpoint}`);
+  for (const [key, value] of Object.entries(provider.query || {})) {
+    url.searchParams.set(key, value);
+  }
+  return url.toString();
+}
+
+// ===== Raw Socket HTTP =====
+// 原始Socket HTTP客户端 - 用cloudflare:sockets的connect()直接建立TCP/TLS连接，
+// 手写HTTP/1.1请求报文并解析响应，不经过Workers的fetch，上游看不到任何Cloudflare出口元数据。
+// 支持Content-Length、chunked和以关闭连接结束的响应体，响应体按到达顺序流式返回。
+// 不跟随重定向；http://地址使用明文连接，便于对着本地HTTP服务调试。
+// 可以经过一个或多个转发代理出站（http://为HTTP CONNECT，socks5://为SOCKS5，均支持user:pass认证），
+// 按顺序逐跳建立隧道，到达目标后再在隧道内做TLS握手，代理看不到请求内容。
+
+const CRLF = new Uint8Array([13, 10]);
+const HEADER_END = new Uint8Array([13, 10, 13, 10]);
+
+// 由客户端自行生成的请求头，调用方传入的同名头会被忽略
+const MANAGED_REQUEST_HEADERS = ['host', 'connection', 'content-length', 'transfer-encoding', 'accept-encoding'];
+
+const DEFAULT_PROXY_PORTS = { 'http:': 80, 'socks5:': 1080 };
+
+// SOCKS5 CONNECT应答码 → 说明（RFC 1928）
+const SOCKS5_ERRORS = {
+  1: 'general failure',
+  2: 'connection not allowed by ruleset',
+  3: 'network unreachable',
+  4: 'host unreachable',
+  5: 'connection refused',
+  6: 'TTL expired',
+  7: 'command not supported',
+  8: 'address type not supported'
+};
+
+const rawEncoder = new TextEncoder();
+const rawDecoder = new TextDecoder();
+
+class RawHttpClient {
+  // connectFn默认为cloudflare:sockets的connect，测试时可以换成连接本地服务的实现
+  constructor(connectFn = connect) {
+    this.connect = connectFn;
+  }
+
+  // proxy为代理URL或按顺序经过的代理URL列表；deadline为可选的RequestDeadline，
+  // 负责连接超时，中止时关闭socket
+  async fetch(url, { method = 'GET', headers = new Headers(), body = null, proxy = null, deadline = null } = {}) {
+    const target = new URL(url);
+    const signal = deadline?.signal;
+    const stopConnect = deadline?.start('connectMs');
+    let socket;
+    try {
+      socket = await this.openSocket(target, [].concat(proxy || []).map(entry => new URL(entry)), signal);
+    } catch (error) {
+      throw deadline ? deadline.reasonFor(error) : error;
+    } finally {
+      stopConnect?.();
+    }
+    const close = () => socket.close().catch(() => {});
+
+    try {
+      // 请求体都是小体积JSON，整体读出后带上Content-Length发送，免去请求侧的chunked编码
+      const payload = body ? new Uint8Array(await new Response(body).arrayBuffer()) : null;
+      await this.writeAll(socket, rawEncoder.encode(this.buildRequestHead(target, method, headers, payload)));
+      if (payload && payload.length > 0) await this.writeAll(socket, payload);
+
+      return await this.readResponse(new SocketReader(socket.readable), method, close, signal);
+    } catch (error) {
+      close();
+      throw deadline ? deadline.reasonFor(error) : error;
+    }
+  }
+
+  // 无代理时直连目标；否则连到第一个代理，逐跳CONNECT到下一个代理，最后到目标
+  // signal中止时关闭当前使用的连接（startTls之后是新返回的TLS socket），进行中的握手和读取随之失败
+  async openSocket(target, proxies, signal) {
+    const secure = target.protocol === 'https:';
+    const destination = { hostname: target.hostname, port: Number(target.port) || (secure ? 443 : 80) };
+    const [first] = proxies;
+    let socket = first
+      ? this.connect(
+        { hostname: first.hostname, port: Number(first.port) || DEFAULT_PROXY_PORTS[first.protocol] },
+        { secureTransport: secure ? 'starttls' : 'off', allowHalfOpen: false }
+      )
+      : this.connect(destination, { secureTransport: secure ? 'on' : 'off', allowHalfOpen: false });
+    signal?.addEventListener('abort', () => socket.close().catch(() => {}), { once: true });
+
+    try {
+      await Promise.race([socket.opened, whenAborted(signal)]);
+      if (!first) return socket;
+      for (let i = 0; i < proxies.length; i++) {
+        const next = proxies[i + 1];
+        const hop = next
+          ? { hostname: next.hostname, port: Number(next.port) || DEFAULT_PROXY_PORTS[next.protocol] }
+          : destination;
+        if (proxies[i].protocol === 'socks5:') await this.socks5Connect(socket, proxies[i], hop);
+        else await this.httpConnect(socket, proxies[i], hop);
+      }
+      if (secure) socket = socket.startTls({ expectedServerHostname: target.hostname });
+      return socket;
+    } catch (error) {
+      socket.close().catch(() => {});
+      throw error;
+    }
+  }
+
+  async httpConnect(socket, proxy, { hostname, port }) {
+    const authority = `${hostname}:${port}`;
+    const lines = [`CONNECT ${authority} HTTP/1.1`, `Host: ${authority}`];
+    if (proxy.username) {
+      lines.push(`Proxy-Authorization: Basic ${btoa(`${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`)}`);
+    }
+    await this.writeAll(socket, rawEncoder.encode(`${lines.join('\r\n')}\r\n\r\n`));
+
+    const reader = new SocketReader(socket.readable);
+    const { status, statusText } = this.parseResponseHead(rawDecoder.decode(await reader.readUntil(HEADER_END)));
+    reader.release();
+    if (status !== 200) {
+      throw new Error(`Proxy ${proxy.host} refused CONNECT to ${authority}: ${status} ${statusText}`);
+    }
+  }
+
+  async socks5Connect(socket, proxy, { hostname, port }) {
+    const reader = new SocketReader(socket.readable);
+    const username = decodeURIComponent(proxy.username);
+    const password = decodeURIComponent(proxy.password);
+
+    // 协商认证方式：0x00无认证，0x02用户名/密码
+    await this.writeAll(socket, new Uint8Array(username ? [5, 2, 0, 2] : [5, 1, 0]));
+    const [, method] = await reader.readExactly(2);
+    if (method === 2 && username) {
+      const user = rawEncoder.encode(username);
+      const pass = rawEncoder.encode(password);
+      await this.writeAll(socket, new Uint8Array([1, user.length, ...user, pass.length, ...pass]));
+      const [, status] = await reader.readExactly(2);
+      if (status !== 0) throw new Error(`SOCKS5 proxy ${proxy.host} rejected the credentials`);
+    } else if (method !== 0) {
+      throw new Error(`SOCKS5 proxy ${proxy.host} offered no acceptable authentication method`);
+    }
+
+    // 目标地址按域名发送，由代理解析DNS
+    const address = /^\d{1,3}(\.\d{1,3}){3}$/.test(hostname)
+      ? [1, ...hostname.split('.').map(Number)]
+      : [3, rawEncoder.encode(hostname).length, ...rawEncoder.encode(hostname)];
+    await this.writeAll(socket, new Uint8Array([5, 1, 0, ...address, port >> 8, port & 0xff]));
+
+    const [, reply, , addressType] = await reader.readExactly(4);
+    if (reply !== 0) {
+      throw new Error(`SOCKS5 proxy ${proxy.host} failed to connect to ${hostname}:${port}: ${SOCKS5_ERRORS[reply] || `error ${reply}`}`);
+    }
+    // 跳过代理回报的绑定地址和端口
+    const addressLength = addressType === 1 ? 4 : addressType === 4 ? 16 : (await reader.readExactly(1))[0];
+    await reader.readExactly(addressLength + 2);
+    reader.release();
+  }
+
+  async writeAll(socket, bytes) {
+    const writer = socket.writable.getWriter();
+    await writer.write(bytes);
+    writer.releaseLock();
+  }
+
+  buildRequestHead(target, method, headers, payload) {
+    const lines = [
+      `${method} ${target.pathname}${target.search} HTTP/1.1`,
+      `Host: ${target.host}`,
+      'Connection: close',
+      // 不处理压缩协商，要求上游返回原始字节
+      'Accept-Encoding: identity'
+    ];
+    if (payload) lines.push(`Content-Length: ${payload.length}`);
+    for (const [key, value] of headers) {
+      if (!MANAGED_REQUEST_HEADERS.includes(key.toLowerCase())) lines.push(`${key}: ${value}`);
+    }
+    return `${lines.join('\r\n')}\r\n\r\n`;
+  }
+
+  async readResponse(reader, method, close, signal) {
+    // 等待响应头时与中止竞速，不依赖关闭socket能否让读取立即失败
+    const aborted = whenAborted(signal);
+    let head;
+    // 跳过100 Continue等1xx中间响应
+    do {
+      head = this.parseResponseHead(rawDecoder.decode(await Promise.race([reader.readUntil(HEADER_END), aborted])));
+    } while (head.status >= 100 && head.status < 200);
+
+    const { status, statusText, headers } = head;
+    let chunks;
+    if (method === 'HEAD' || status === 204 || status === 304) {
+      chunks = null;
+    } else if (/\bchunked\b/i.test(headers.get('transfer-encoding') || '')) {
+      chunks = readChunkedBody(reader);
+    } else if (headers.has('content-length')) {
+      chunks = readLengthBody(reader, Number(headers.get('content-length')));
+    } else {
+      chunks = readUntilClose(reader);
+    }
+    // 传输编码已在这里解开，不能再交给Response
+    headers.delete('transfer-encoding');
+
+    if (!chunks) {
+      close();
+      return new Response(null, { status, statusText, headers });
+    }
+
+    let stream = new ReadableStream({
+      async pull(controller) {
+        try {
+          const { value, done } = await chunks.next();
+          if (done) {
+            controller.close();
+            close();
+          } else {
+            controller.enqueue(value);
+          }
+        } catch (error) {
+          controller.error(signal?.aborted ? signal.reason : error);
+          close();
+        }
+      },
+      cancel() {
+        close();
+      }
+    });
+
+    // 上游无视Accept-Encoding时自行解压
+    const encoding = (headers.get('content-encoding') || '').toLowerCase();
+    if (encoding === 'gzip' || encoding === 'deflate') {
+      stream = stream.pipeThrough(new DecompressionStream(encoding));
+      headers.delete('content-encoding');
+      headers.delete('content-length');
+    }
+    return new Response(stream, { status, statusText, headers });
+  }
+
+  parseResponseHead(text) {
+    const [statusLine, ...headerLines] = text.split('\r\n');
+    const match = /^HTTP\/1\.[01] (\d{3})(?: (.*))?$/.exec(statusLine);
+    if (!match) {
+      throw new Error(`Invalid HTTP status line from upstream: ${statusLine.slice(0, 100)}`);
+    }
+
+    const headers = new Headers();
+    for (const line of headerLines) {
+      const separator = line.indexOf(':');
+      if (separator > 0) headers.append(line.slice(0, separator).trim(), line.slice(separator + 1).trim());
+    }
+    return { status: Number(match[1]), statusText: match[2] || '', headers };
+  }
+}
+
+// 在socket的可读流上按需读取：按分隔符读取报文头和chunk大小行，按长度读取正文
+class SocketReader {
+  constructor(readable) {
+    this.reader = readable.getReader();
+    this.buffer = new Uint8Array(0);
+  }
+
+  // 再读入一段数据；连接已关闭时返回false
+  async fill() {
+    for (;;) {
+      const { value, done } = await this.reader.read();
+      if (done) return false;
+      if (value.length === 0) continue;
+      const merged = new Uint8Array(this.buffer.length + value.length);
+      merged.set(this.buffer);
+      merged.set(value, this.buffer.length);
+      this.buffer = merged;
+      return true;
+    }
+  }
+
+  // 返回分隔符之前的字节，并消费掉分隔符
+  async readUntil(delimiter) {
+    let index;
+    while ((index = indexOfBytes(this.buffer, delimiter)) === -1) {
+      if (!await this.fill()) throw new Error('Connection closed before the response was complete');
+    }
+    const bytes = this.buffer.subarray(0, index);
+    this.buffer = this.buffer.subarray(index + delimiter.length);
+    return bytes;
+  }
+
+  async readExactly(length) {
+    while (this.buffer.length < length) {
+      if (!await this.fill()) throw new Error('Connection closed before the response was complete');
+    }
+    const bytes = this.buffer.subarray(0, length);
+    this.buffer = this.buffer.subarray(length);
+    return bytes;
+  }
+
+  // 代理握手结束后交还可读流，之后由下一跳或HTTP响应继续读取
+  release() {
+    if (this.buffer.length > 0) {
+      throw new Error('Proxy sent unexpected data after the tunnel handshake');
+    }
+    this.reader.releaseLock();
+  }
+
+  // 返回至多max个字节（至少1个）；连接已关闭时返回null
+  async readSome(max = Infinity) {
+    if (this.buffer.length === 0 && !await this.fill()) return null;
+    const bytes = this.buffer.subarray(0, Math.min(max, this.buffer.length));
+    this.buffer = this.buffer.subarray(bytes.length);
+    return bytes;
+  }
+}
+
+async function* readChunkedBody(reader) {
+  for (;;) {
+    const sizeLine = rawDecoder.decode(await reader.readUntil(CRLF));
+    const size = parseInt(sizeLine.split(';')[0].trim(), 16);
+    if (Number.isNaN(size)) {
+      throw new Error(`Invalid chunk size from upstream: ${sizeLine.slice(0, 100)}`);
+    }
+    if (size === 0) {
+      // 跳过trailer，直到空行
+      while ((await reader.readUntil(CRLF)).length > 0);
+      return;
+    }
+    yield* readLengthBody(reader, size);
+    await reader.readUntil(CRLF);
+  }
+}
+
+async function* readLengthBody(reader, length) {
+  let remaining = length;
+  while (remaining > 0) {
+    const bytes = await reader.readSome(remaining);
+    if (!bytes) throw new Error('Connection closed before the response was complete');
+    remaining -= bytes.length;
+    yield bytes;
+  }
+}
+
+async function* readUntilClose(reader) {
+  let bytes;
+  while ((bytes = await reader.readSome())) yield bytes;
+}
+
+function indexOfBytes(haystack, needle) {
+  outer: for (let i = 0; i <= haystack.length - needle.length; i++) {
+    for (let j = 0; j < needle.length; j++) {
+      if (haystack[i + j] !== needle[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
 
 // ===== Socket Transport Layer =====
 // Socket传输层 - 实现隐私保护的HTTP请求
-// 简化实现：直接使用fetch API，因为它原生支持流式处，
-// 我们只需要清理掉不安全的头部信息即可。
+// 默认直接使用fetch API，因为它原生支持流式处理，我们只需要清理掉不安全的头部信息即可；
+// Provider声明"transport": "socket"或配置了出站代理（proxy）时改用RawHttpClient，经原始TCP/TLS连接发送。
+
+// 默认只透传这些请求头，其余（IP、Cookie、Origin、User-Agent等）一律丢弃
+const FORWARDED_HEADERS = ['content-type', 'accept'];
+
+// 各wire格式额外透传的API相关请求头
+const WIRE_FORWARDED_HEADERS = {
+  gemini: [],
+  openai: ['openai-organization', 'openai-project', 'openai-beta'],
+  anthropic: ['anthropic-version', 'anthropic-beta']
+};
 
 class SocketTransport {
-  constructor(debug = false) {
+  constructor(debug = false, rawClient = new RawHttpClient()) {
     this.debug = debug;
+    this.rawClient = rawClient;
   }
 
   log(message) {
@@ -18,11 +739,21 @@ class SocketTransport {
   }
 
   // 核心方法：使用fetch进行请求，同时清理头部以保护隐私
-  async fetch(targetUrl, request, apiKey) {
-    const url = new URL(targetUrl);
-    
+  // deadline为可选的RequestDeadline，超时或客户端断开时中止请求
+  async fetch(targetUrl, request, apiKey, provider, deadline = null) {
     // 1. 构建干净的HTTP请求头（无CF-*泄露）
-    const cleanHeaders = this.buildCleanHeaders(request.headers, url.hostname, apiKey);
+    const cleanHeaders = this.buildCleanHeaders(request.headers, provider, apiKey);
+
+    if (provider.transport === 'socket' || provider.proxy) {
+      this.log(`Proxying request to ${targetUrl} over raw socket${provider.proxy ? ' via egress proxy' : ''}`);
+      return this.rawClient.fetch(targetUrl, {
+        method: request.method,
+        headers: cleanHeaders,
+        body: request.body,
+        proxy: provider.proxy,
+        deadline
+      });
+    }
     
     // 2. 创建一个新的请求对象
     // 注意：直接传递原始request的body，因为它是一个可读流
@@ -30,7 +761,8 @@ class SocketTransport {
       method: request.method,
       headers: cleanHeaders,
       body: request.body,
-      redirect: 'follow'
+      redirect: 'follow',
+      signal: deadline?.signal
     });
 
     this.log(`Proxying request to ${targetUrl}`);
@@ -39,34 +771,39 @@ class SocketTransport {
     return fetch(proxyReq);
   }
 
-  // 构建干净的请求头：移除所有CF-*头，添加必要的认证头
-  buildCleanHeaders(originalHeaders, hostname, apiKey) {
+  // 构建干净的请求头：只透传白名单中的请求头，认证头只由网关按Provider的认证方式设置
+  // 白名单 = 通用请求头 + wire格式相关请求头 + Provider的allowHeaders
+  buildCleanHeaders(originalHeaders, provider, apiKey) {
     const headers = new Headers();
-    
-    // 复制安全的请求头
+    const allowed = new Set([
+      ...FORWARDED_HEADERS,
+      ...WIRE_FORWARDED_HEADERS[provider.format],
+      ...(provider.allowHeaders || []).map(header => header.toLowerCase())
+    ]);
+
     for (const [key, value] of originalHeaders) {
       const keyLower = key.toLowerCase();
-      // 过滤掉隐私泄露的头部
-      if (!keyLower.startsWith('cf-') && 
-          !keyLower.startsWith('x-forwarded-') &&
-          !['host', 'connection'].includes(keyLower)) {
+      // 客户端自带的凭据（Authorization、x-api-key、Cookie等）永远不转发
+      if (allowed.has(keyLower) && !CREDENTIAL_HEADERS.includes(keyLower)) {
         headers.set(key, value);
       }
     }
+
+    // 统一User-Agent，避免把客户端SDK的指纹带给上游
+    if (provider.userAgent) {
+      headers.set('User-Agent', provider.userAgent);
+    }
     
-    // 设置API认证（统一处理）
-    if (apiKey) {
-      if (hostname.includes('generativelanguage.googleapis.com')) {
-        // Gemini API使用x-goog-api-key
-        headers.set('x-goog-api-key', apiKey);
-      } else if (hostname.includes('api.openai.com')) {
-        // OpenAI API使用Authorization Bearer
-        headers.set('Authorization', `Bearer ${apiKey}`);
-      } else if (hostname.includes('api.anthropic.com')) {
-        // Anthropic API使用x-api-key
-        headers.set('x-api-key', apiKey);
-      }
-    } else {
+    // Provider要求的固定请求头，客户端已携带时以客户端为准
+    for (const [key, value] of Object.entries(provider.headers || {})) {
+      if (!headers.has(key)) headers.set(key, value);
+    }
+
+    // 设置API认证（按Provider声明的认证方式统一处理）
+    const scheme = AUTH_SCHEMES[provider.auth];
+    if (scheme && apiKey) {
+      headers.set(scheme.header, `${scheme.prefix}${apiKey}`);
+    } else if (scheme) {
       this.log("API key is missing.");
     }
     
@@ -74,414 +811,3231 @@ class SocketTransport {
   }
 }
 
+// ===== SSE Parser =====
+// SSE解析器 - 所有流式转换共用的事件解析
+// 按WHATWG规范处理：CRLF/LF/CR换行、多行data、event/id字段、注释行，
+// 并使用流式TextDecoder，保证被chunk切断的UTF-8字符不会乱码。
 
-// ===== Format Converter =====
-// 双格式转换器 - 消除Claude和OpenAI格式的特殊情况
-// 增加了对流式响应的实时格式转换支持
-
-class FormatConverter {
+class SSEParser {
   constructor() {
-    this.idCounter = 0;
-    this.textDecoder = new TextDecoder();
+    this.decoder = new TextDecoder();
+    this.buffer = '';
+    this.eventType = '';
+    this.data = [];
+    this.lastEventId = undefined;
+  }
+
+  // 输入一个字节chunk，返回其中完整的事件
+  feed(chunk) {
+    this.buffer += this.decoder.decode(chunk, { stream: true });
+    return this.drain(false);
+  }
+
+  // 上游结束：处理剩余内容，没有以空行结尾的最后一个事件也会被派发
+  end() {
+    this.buffer += this.decoder.decode();
+    return this.drain(true);
+  }
+
+  drain(final) {
+    const events = [];
+    const lineBreak = /\r\n|\r|\n/g;
+    let start = 0;
+    let match;
+
+    while ((match = lineBreak.exec(this.buffer))) {
+      // 末尾单独的\r可能是被切开的\r\n，等下一个chunk再判断
+      if (!final && match[0] === '\r' && match.index === this.buffer.length - 1) break;
+      const event = this.processLine(this.buffer.slice(start, match.index));
+      start = lineBreak.lastIndex;
+      if (event) events.push(event);
+    }
+    this.buffer = this.buffer.slice(start);
+
+    if (final) {
+      if (this.buffer) this.processLine(this.buffer);
+      this.buffer = '';
+      const event = this.dispatch();
+      if (event) events.push(event);
+    }
+    return events;
+  }
+
+  processLine(line) {
+    if (line === '') return this.dispatch();
+    if (line.startsWith(':')) return null; // 注释/心跳
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? '' : line.slice(colon + 1);
+    if (value.startsWith(' ')) value = value.slice(1);
+
+    if (field === 'data') {
+      this.data.push(value);
+    } else if (field === 'event') {
+      this.eventType = value;
+    } else if (field === 'id' && !value.includes('\0')) {
+      this.lastEventId = value;
+    }
+    return null;
+  }
+
+  dispatch() {
+    const event = this.data.length > 0
+      ? { event: this.eventType || 'message', data: this.data.join('\n'), id: this.lastEventId }
+      : null;
+    this.eventType = '';
+    this.data = [];
+    return event;
+  }
+}
+
+// ===== Model Mapping =====
+// 模型映射 - 双层结构：输入格式 → Provider → 模型名规则
+// 规则来源优先级：KV(CONFIG_KV中的model_mapping) > 环境变量MODEL_MAPPING > 内置默认值
+//
+// 规则的key支持三种写法：
+//   精确名称    'gemini-2.5-pro'
+//   通配符      'claude-sonnet-*'、'*haiku*'
+//   默认值      '*'（该格式+Provider下未命中其他规则时使用）
+// 精确名称优先，其余按字面字符数从多到少匹配，因此'*'总是最后兜底。
+
+const DEFAULT_MODEL_MAPPING = {
+  // Claude格式输入的模型映射
+  'claude': {
+    'gemini': {
+      'gemini-2.5-pro': 'models/gemini-2.0-flash-exp',
+      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
+    },
+    'openai': {
+      'gpt-4o': 'gpt-4o',
+    },
+    'anthropic': {
+        'claude-3-5-sonnet-20240620': 'claude-3-5-sonnet-20240620',
+    }
+  },
+  // OpenAI格式输入的模型映射
+  'openai': {
+    'gemini': {
+      'gemini-pro': 'models/gemini-pro',
+      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
+    },
+    'openai': {
+      'gpt-4o': 'gpt-4o',
+      'gpt-4o-mini': 'gpt-4o-mini',
+    },
+    'anthropic': {
+      'claude-3-sonnet': 'claude-3-5-sonnet-20240620',
+      'claude-3-haiku': 'claude-3-haiku-20240725'
+    }
+  }
+};
+
+const FORMATS = ['claude', 'openai'];
+
+class ModelMapper {
+  constructor(mapping) {
+    this.mapping = mapping;
+    this.patterns = {};
+
+    for (const [format, providers] of Object.entries(mapping)) {
+      for (const [provider, rules] of Object.entries(providers)) {
+        this.patterns[`${format}/${provider}`] = Object.keys(rules)
+          .filter(key => key.includes('*'))
+          .sort((a, b) => b.replace(/\*/g, '').length - a.replace(/\*/g, '').length)
+          .map(key => ({ regex: globToRegExp(key), target: rules[key] }));
+      }
+    }
+  }
+
+  // 返回映射后的模型名；没有命中任何规则时原样返回
+  resolve(format, provider, model) {
+    const rules = this.mapping[format]?.[provider];
+    if (!rules) return model;
+    if (model && Object.prototype.hasOwnProperty.call(rules, model)) return rules[model];
+
+    for (const { regex, target } of this.patterns[`${format}/${provider}`]) {
+      if (regex.test(model || '')) return target;
+    }
+    return model;
+  }
+
+  // 该格式+Provider下可直接使用的模型别名（不含通配符规则）
+  aliases(format, provider) {
+    return Object.keys(this.mapping[format]?.[provider] || {}).filter(key => !key.includes('*'));
+  }
+}
+
+// 加载并校验模型映射
+function loadModelMapper(env, providers) {
+  return loadJsonConfig(env, {
+    kvKey: 'model_mapping',
+    envVar: 'MODEL_MAPPING',
+    build: (mapping, source) => {
+      validateModelMapping(mapping, providers, source);
+      return new ModelMapper(mapping);
+    },
+    fallback: () => new ModelMapper(DEFAULT_MODEL_MAPPING)
+  });
+}
+
+// 配置错误在第一次请求时即报出，而不是在某个模型命中时才暴露
+function validateModelMapping(mapping, providers, source = 'model mapping') {
+  if (!isPlainObject(mapping)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by format`);
+  }
+
+  for (const [format, providerRules] of Object.entries(mapping)) {
+    if (!FORMATS.includes(format)) {
+      throw new Error(`Invalid ${source}: unknown format "${format}". Supported: ${FORMATS.join(', ')}`);
+    }
+    if (!isPlainObject(providerRules)) {
+      throw new Error(`Invalid ${source}: "${format}" must map providers to rule objects`);
+    }
+
+    for (const [provider, rules] of Object.entries(providerRules)) {
+      if (!providers.includes(provider)) {
+        throw new Error(`Invalid ${source}: unknown provider "${format}.${provider}". Supported: ${providers.join(', ')}`);
+      }
+      if (!isPlainObject(rules)) {
+        throw new Error(`Invalid ${source}: "${format}.${provider}" must map model names to target models`);
+      }
+      for (const [pattern, target] of Object.entries(rules)) {
+        if (typeof target !== 'string' || !target || target.includes('*')) {
+          throw new Error(`Invalid ${source}: "${format}.${provider}.${pattern}" must be a concrete model name`);
+        }
+      }
+    }
+  }
+}
+
+function globToRegExp(pattern) {
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+// ===== Model List =====
+// 模型列表 - GET /v1/models 与 /v1/models/{id}
+// 列出MODEL_MAPPING中的模型别名；开启LIST_UPSTREAM_MODELS时再合并上游的实时模型列表，
+// 统一转换为调用方格式（OpenAI的list结构或Anthropic的分页结构）。
+
+// 各wire格式的模型列表端点；Gemini默认每页只有50个
+const UPSTREAM_MODEL_ENDPOINTS = {
+  gemini: 'models?pageSize=1000',
+  openai: 'models',
+  anthropic: 'models?limit=1000'
+};
+
+// 读取上游模型列表，返回 [{ id, displayName, created }]，created为Unix秒
+async function fetchUpstreamModels(transport, request, providerConfig, apiKey, deadline = null) {
+  const wire = providerConfig.format;
+  const targetUrl = buildProviderUrl(providerConfig, UPSTREAM_MODEL_ENDPOINTS[wire]);
+  const response = await transport.fetch(targetUrl, new Request(targetUrl, {
+    method: 'GET',
+    headers: request.headers
+  }), apiKey, providerConfig, deadline);
+  if (!response.ok) {
+    throw new Error(`Upstream model list failed with ${response.status}: ${await response.text()}`);
+  }
+  const data = await response.json();
+
+  if (wire === 'gemini') {
+    // 只保留能用于对话的模型，去掉models/前缀
+    return (data.models || [])
+      .filter(model => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map(model => ({ id: model.name.replace(/^models\//, ''), displayName: model.displayName, created: 0 }));
+  }
+  if (wire === 'anthropic') {
+    return (data.data || []).map(model => ({
+      id: model.id,
+      displayName: model.display_name,
+      created: model.created_at ? Math.floor(Date.parse(model.created_at) / 1000) : 0
+    }));
+  }
+  return (data.data || []).map(model => ({ id: model.id, created: model.created || 0 }));
+}
+
+// 转换为调用方格式的列表响应体
+function formatModelList(format, provider, models) {
+  const entries = models.map(model => formatModel(format, provider, model));
+  if (format === 'claude') {
+    return {
+      data: entries,
+      has_more: false,
+      first_id: entries[0]?.id ?? null,
+      last_id: entries[entries.length - 1]?.id ?? null
+    };
+  }
+  return { object: 'list', data: entries };
+}
+
+function formatModel(format, provider, model) {
+  if (format === 'claude') {
+    return {
+      type: 'model',
+      id: model.id,
+      display_name: model.displayName || model.id,
+      created_at: new Date(model.created * 1000).toISOString()
+    };
+  }
+  return { id: model.id, object: 'model', created: model.created, owned_by: provider };
+}
+
+// ===== Fallback =====
+// 重试与降级链 - 上游返回429/5xx或网络失败时，先按指数退避重试，再依次切换到备用Provider
+// 配置来源：KV(CONFIG_KV中的fallback) > 环境变量FALLBACK_CONFIG，JSON结构：
+//   {
+//     "retry": { "maxRetries": 2, "baseDelayMs": 500, "maxDelayMs": 8000 },
+//     "chains": {
+//       "claude/gemini": [
+//         { "provider": "openai", "models": { "*": "gpt-4o" }, "keyEnv": "OPENAI_API_KEY" },
+//         "anthropic"
+//       ]
+//     }
+//   }
+// chains的key为"{format}/{provider}"；每一跳可以只写Provider名称，
+// 也可以用models为这一跳单独指定模型映射（规则写法同MODEL_MAPPING），
+// keyEnv指定这一跳使用的API Key所在的Worker secret。
+
+const DEFAULT_RETRY_POLICY = {
+  maxRetries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 8000
+};
+
+// 值得重试或降级的上游状态码；其余4xx换一个上游也不会成功
+const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504, 529];
+
+function loadFallbackConfig(env, providers) {
+  return loadJsonConfig(env, {
+    kvKey: 'fallback',
+    envVar: 'FALLBACK_CONFIG',
+    build: (config, source) => buildFallbackConfig(config, providers, source),
+    fallback: () => ({ retry: DEFAULT_RETRY_POLICY, chains: {} })
+  });
+}
+
+function buildFallbackConfig(config, providers, source) {
+  if (!isPlainObject(config)) {
+    throw new Error(`Invalid ${source}: expected an object with "retry" and "chains"`);
+  }
+
+  const retry = { ...DEFAULT_RETRY_POLICY, ...config.retry };
+  for (const [key, value] of Object.entries(retry)) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid ${source}: "retry.${key}" must be a non-negative integer`);
+    }
+  }
+
+  const chains = {};
+  for (const [route, hops] of Object.entries(config.chains || {})) {
+    const [format, provider] = route.split('/');
+    if (!['claude', 'openai'].includes(format) || !providers.includes(provider)) {
+      throw new Error(`Invalid ${source}: chain key "${route}" must be "{format}/{provider}"`);
+    }
+    if (!Array.isArray(hops)) {
+      throw new Error(`Invalid ${source}: "chains.${route}" must be an array of hops`);
+    }
+    chains[route] = hops.map(hop => buildHop(format, typeof hop === 'string' ? { provider: hop } : hop, providers, source));
+  }
+
+  return { retry, chains };
+}
+
+function buildHop(format, hop, providers, source) {
+  if (!isPlainObject(hop) || !providers.includes(hop.provider)) {
+    throw new Error(`Invalid ${source}: fallback hop ${JSON.stringify(hop)} must name a known provider`);
+  }
+  let modelMapper = null;
+  if (hop.models) {
+    const mapping = { [format]: { [hop.provider]: hop.models } };
+    validateModelMapping(mapping, providers, source);
+    modelMapper = new ModelMapper(mapping);
+  }
+  return { provider: hop.provider, modelMapper, keyEnv: hop.keyEnv };
+}
+
+function isRetryableStatus(status) {
+  return RETRYABLE_STATUS.includes(status);
+}
+
+// 下一次重试前的等待时间：带full jitter的指数退避；上游给出Retry-After时以它为准。
+// 返回null表示Retry-After超过上限，不值得在这个上游上继续等待。
+function retryDelay(attempt, retryAfter, policy) {
+  const retryAfterMs = parseRetryAfter(retryAfter);
+  if (retryAfterMs !== null) {
+    return retryAfterMs <= policy.maxDelayMs ? retryAfterMs : null;
+  }
+  const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+}
+
+// Retry-After可以是秒数或HTTP日期，返回毫秒
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ===== Safety =====
+// Gemini安全设置 - 为发往Gemini的对话请求注入默认的safetySettings
+// 配置来源：KV(CONFIG_KV中的safety_settings) > 环境变量SAFETY_SETTINGS，JSON结构：
+//   {
+//     "default": [{ "category": "HARM_CATEGORY_DANGEROUS_CONTENT", "threshold": "BLOCK_ONLY_HIGH" }],
+//     "routes": { "claude/gemini": [{ "category": "HARM_CATEGORY_HARASSMENT", "threshold": "BLOCK_NONE" }] },
+//     "tokens": { "ci-main": [{ "category": "HARM_CATEGORY_HATE_SPEECH", "threshold": "OFF" }] }
+//   }
+// 按类别合并，优先级：Token > 路由（"{format}/{provider}"）> default。
+
+const HARM_THRESHOLDS = [
+  'HARM_BLOCK_THRESHOLD_UNSPECIFIED', 'BLOCK_LOW_AND_ABOVE', 'BLOCK_MEDIUM_AND_ABOVE',
+  'BLOCK_ONLY_HIGH', 'BLOCK_NONE', 'OFF'
+];
+
+class SafetyPolicy {
+  constructor({ default: defaults = [], routes = {}, tokens = {} }) {
+    this.defaults = defaults;
+    this.routes = routes;
+    this.tokens = tokens;
+  }
+
+  // 返回该Token在该路由上生效的safetySettings；没有任何配置时返回undefined，由Gemini使用默认值
+  resolve(format, provider, tokenName) {
+    const byCategory = new Map();
+    for (const settings of [this.defaults, this.routes[`${format}/${provider}`], this.tokens[tokenName]]) {
+      for (const setting of settings || []) byCategory.set(setting.category, setting);
+    }
+    return byCategory.size > 0 ? [...byCategory.values()] : undefined;
+  }
+}
+
+function loadSafetyPolicy(env, providers) {
+  return loadJsonConfig(env, {
+    kvKey: 'safety_settings',
+    envVar: 'SAFETY_SETTINGS',
+    build: (config, source) => new SafetyPolicy(validateSafetyConfig(config, providers, source)),
+    fallback: () => new SafetyPolicy({})
+  });
+}
+
+function validateSafetyConfig(config, providers, source) {
+  if (!isPlainObject(config)) {
+    throw new Error(`Invalid ${source}: expected an object with "default", "routes" and "tokens"`);
+  }
+  const unknown = Object.keys(config).find(key => !['default', 'routes', 'tokens'].includes(key));
+  if (unknown) {
+    throw new Error(`Invalid ${source}: unknown field "${unknown}"`);
+  }
+
+  if (config.default !== undefined) validateSettings(config.default, 'default', source);
+  for (const group of ['routes', 'tokens']) {
+    if (config[group] === undefined) continue;
+    if (!isPlainObject(config[group])) {
+      throw new Error(`Invalid ${source}: "${group}" must be an object`);
+    }
+    for (const [key, settings] of Object.entries(config[group])) {
+      if (group === 'routes') {
+        const [format, provider] = key.split('/');
+        if (!['claude', 'openai'].includes(format) || !providers.includes(provider)) {
+          throw new Error(`Invalid ${source}: route "${key}" must be "{format}/{provider}"`);
+        }
+      }
+      validateSettings(settings, `${group}.${key}`, source);
+    }
+  }
+  return config;
+}
+
+function validateSettings(settings, path, source) {
+  if (!Array.isArray(settings)) {
+    throw new Error(`Invalid ${source}: "${path}" must be an array of safety settings`);
+  }
+  for (const setting of settings) {
+    if (!isPlainObject(setting) || typeof setting.category !== 'string' || !setting.category.startsWith('HARM_CATEGORY_')) {
+      throw new Error(`Invalid ${source}: "${path}" entries need a HARM_CATEGORY_* category`);
+    }
+    if (!HARM_THRESHOLDS.includes(setting.threshold)) {
+      throw new Error(`Invalid ${source}: "${path}.${setting.category}" threshold must be one of ${HARM_THRESHOLDS.join(', ')}`);
+    }
+  }
+}
+
+// ===== Key Pool =====
+// 服务端API Key池 - Worker持有各Provider的Key，客户端只需要网关Token
+// 配置来源：Worker secret KEY_POOLS（JSON，不从KV读取以免Key落入普通配置存储）：
+//   {
+//     "gemini": ["AIza...1", "AIza...2"],
+//     "openai": { "keys": ["sk-1", "sk-2"], "strategy": "least-recently-throttled" }
+//   }
+// strategy: round-robin（默认）| least-recently-throttled
+// 返回429/401/403的Key会被暂时停用，健康状态保存在isolate内存中。
+
+const STRATEGIES = ['round-robin', 'least-recently-throttled'];
+
+// 停用时长：429优先使用Retry-After
+const THROTTLE_BENCH_MS = 60 * 1000;
+const AUTH_FAILURE_BENCH_MS = 10 * 60 * 1000;
+
+let poolCache = { raw: null, pools: {} };
+
+class KeyPool {
+  constructor(provider, keys, strategy = 'round-robin') {
+    this.provider = provider;
+    this.strategy = strategy;
+    this.cursor = 0;
+    // key → { benchedUntil, lastThrottledAt }
+    this.health = new Map(keys.map(key => [key, { benchedUntil: 0, lastThrottledAt: 0 }]));
+  }
+
+  get keys() {
+    return [...this.health.keys()];
+  }
+
+  // 选出下一个可用的Key；全部停用时选最早恢复的那个
+  acquire() {
+    const now = Date.now();
+    const keys = this.keys;
+    const healthy = keys.filter(key => this.health.get(key).benchedUntil <= now);
+
+    if (healthy.length === 0) {
+      return keys.reduce((best, key) =>
+        this.health.get(key).benchedUntil < this.health.get(best).benchedUntil ? key : best);
+    }
+
+    if (this.strategy === 'least-recently-throttled') {
+      const oldest = Math.min(...healthy.map(key => this.health.get(key).lastThrottledAt));
+      const candidates = healthy.filter(key => this.health.get(key).lastThrottledAt === oldest);
+      return candidates[this.cursor++ % candidates.length];
+    }
+    return healthy[this.cursor++ % healthy.length];
+  }
+
+  // 是否还有未停用的Key，用于判断被限流后能否立即换Key重试
+  hasHealthyKey() {
+    const now = Date.now();
+    return this.keys.some(key => this.health.get(key).benchedUntil <= now);
+  }
+
+  // 根据上游响应更新Key的健康状态
+  report(key, status, retryAfterMs) {
+    const state = this.health.get(key);
+    if (!state) return;
+
+    const now = Date.now();
+    if (status === 429) {
+      state.lastThrottledAt = now;
+      state.benchedUntil = now + (retryAfterMs ?? THROTTLE_BENCH_MS);
+    } else if (status === 401 || status === 403) {
+      state.benchedUntil = now + AUTH_FAILURE_BENCH_MS;
+    } else if (status && status < 400) {
+      state.benchedUntil = 0;
+    } else {
+      return;
+    }
+    if (state.benchedUntil > now) {
+      console.warn(`Benching ${this.provider} key ${maskKey(key)} for ${state.benchedUntil - now}ms after ${status}`);
+    }
+  }
+}
+
+// 解析KEY_POOLS；内容不变时复用同一组KeyPool，保留健康状态
+function loadKeyPools(env, providers) {
+  const raw = env.KEY_POOLS || null;
+  if (raw === poolCache.raw) return poolCache.pools;
+
+  const pools = {};
+  if (raw) {
+    let config;
+    try {
+      config = JSON.parse(raw);
+    } catch (e) {
+      throw new Error(`Invalid KEY_POOLS: ${e.message}`);
+    }
+    for (const [provider, definition] of Object.entries(config)) {
+      const { keys, strategy = 'round-robin' } = Array.isArray(definition) ? { keys: definition } : definition;
+      if (!providers.includes(provider)) {
+        throw new Error(`Invalid KEY_POOLS: unknown provider "${provider}"`);
+      }
+      if (!Array.isArray(keys) || keys.length === 0 || !keys.every(key => typeof key === 'string' && key)) {
+        throw new Error(`Invalid KEY_POOLS: "${provider}" must list at least one key`);
+      }
+      if (!STRATEGIES.includes(strategy)) {
+        throw new Error(`Invalid KEY_POOLS: "${provider}.strategy" must be one of ${STRATEGIES.join(', ')}`);
+      }
+      pools[provider] = new KeyPool(provider, keys, strategy);
+    }
+  }
+
+  poolCache = { raw, pools };
+  return pools;
+}
+
+// 日志中只显示Key的末尾几位：最多4位，且不超过Key长度的四分之一，短Key不会整段暴露
+function maskKey(key) {
+  const visible = Math.min(4, Math.floor(key.length / 4));
+  return visible > 0 ? `…${key.slice(-visible)}` : '…';
+}
+
+// ===== Tokens =====
+// 多租户网关Token - 每个项目/CI系统使用独立Token，可单独限定范围、设置过期和吊销
+// 配置来源：KV(CONFIG_KV中的tokens) > Worker secret GATEWAY_TOKENS，JSON结构：
+//   {
+//     "ci-main": {
+//       "token": "gw-...",
+//       "formats": ["openai"],
+//       "providers": ["gemini"],
+//       "models": ["gemini-2.5-*"],
+//       "expiresAt": "2026-12-31T00:00:00Z"
+//     },
+//     "old-laptop": { "token": "gw-...", "revoked": true }
+//   }
+// formats/providers/models省略时不做限制，models支持*通配符。
+// limits为可选的限流配置，见rate-limit.js；admin为true时可以查看所有Token的用量报表。
+// 未配置GATEWAY_TOKENS时AUTH_TOKEN作为不受限的管理员Token（名称为default）；配置后AUTH_TOKEN不再有效，
+// 除非设置LEGACY_AUTH_TOKEN=true显式保留。AUTH_TOKEN未设置或仍是示例值时不能动用服务端Key，也没有管理员权限。
+
+const SCOPES = ['formats', 'providers', 'models'];
+const LIMITS = ['requestsPerMinute', 'tokensPerDay', 'concurrentStreams'];
+
+// 代码和wrangler.toml中的AUTH_TOKEN示例值，谁都知道
+const PLACEHOLDER_AUTH_TOKENS = ['your-secure-token', 'your-secure-token-here'];
+
+const tokenEncoder = new TextEncoder();
+
+class Tenant {
+  constructor(name, definition) {
+    this.name = name;
+    this.token = definition.token;
+    this.revoked = definition.revoked === true;
+    this.admin = definition.admin === true;
+    this.expiresAt = definition.expiresAt ? Date.parse(definition.expiresAt) : null;
+    // scope → 允许值的正则列表；null表示不限制
+    this.scopes = Object.fromEntries(SCOPES.map(scope => [
+      scope,
+      definition[scope] ? definition[scope].map(globToRegExp) : null
+    ]));
+    this.limits = definition.limits || null;
+    // 仍是示例值的AUTH_TOKEN，见loadTokenRegistry
+    this.placeholder = false;
+  }
+
+  // 服务端持有的Key（KEY_POOLS、降级链keyEnv）和管理接口不对示例Token开放，以配置错误拒绝
+  assertTrusted(purpose) {
+    if (this.placeholder) {
+      throw new Error(`AUTH_TOKEN is not set or still the placeholder "${this.token}": set a unique AUTH_TOKEN or use GATEWAY_TOKENS before ${purpose}`);
+    }
+  }
+
+  allows(scope, value) {
+    const patterns = this.scopes[scope];
+    return !patterns || (typeof value === 'string' && patterns.some(regex => regex.test(value)));
+  }
+
+  // 一次请求经过的每个上游（包括降级链中的备用Provider）都必须同时满足三个范围
+  allowsRoute(format, provider, model) {
+    return this.allows('formats', format) && this.allows('providers', provider) && this.allows('models', model);
+  }
+}
+
+class TokenRegistry {
+  constructor(tenants) {
+    this.tenants = tenants;
+  }
+
+  // 返回 { tenant } 或 { error }；逐个比较全部Token，耗时不随匹配位置变化
+  authenticate(presented) {
+    let match = null;
+    for (const tenant of this.tenants) {
+      if (timingSafeEqual(presented || '', tenant.token) && !match) match = tenant;
+    }
+
+    if (!match) return { error: 'Unauthorized' };
+    if (match.revoked) return { error: `Token "${match.name}" has been revoked` };
+    if (match.expiresAt !== null && Date.now() >= match.expiresAt) {
+      return { error: `Token "${match.name}" expired at ${new Date(match.expiresAt).toISOString()}` };
+    }
+    return { tenant: match };
+  }
+}
+
+async function loadTokenRegistry(env, config) {
+  const tenants = await loadJsonConfig(env, {
+    kvKey: 'tokens',
+    envVar: 'GATEWAY_TOKENS',
+    build: (tokens, source) => buildTenants(tokens, source),
+    fallback: () => []
+  });
+
+  // 未配置多租户Token时保持原行为；配置后共享的AUTH_TOKEN默认停用，这样才能逐个吊销而不必留一个万能Token
+  const legacyToken = tenants.length === 0
+    ? config.AUTH_TOKEN
+    : (env.LEGACY_AUTH_TOKEN === 'true' ? env.AUTH_TOKEN : null);
+  if (!legacyToken) return new TokenRegistry(tenants);
+
+  // 示例值只能配合客户端自带的上游Key使用，与引入Key池之前的行为一致
+  const placeholder = PLACEHOLDER_AUTH_TOKENS.includes(legacyToken);
+  const legacy = new Tenant('default', { token: legacyToken, admin: !placeholder });
+  legacy.placeholder = placeholder;
+  return new TokenRegistry([...tenants, legacy]);
+}
+
+function buildTenants(tokens, source) {
+  if (!isPlainObject(tokens)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by token name`);
+  }
+
+  const seen = new Set();
+  return Object.entries(tokens).map(([name, definition]) => {
+    if (!isPlainObject(definition)) {
+      throw new Error(`Invalid ${source}: "${name}" must be an object`);
+    }
+    if (typeof definition.token !== 'string' || definition.token.length < 16 || definition.token.includes('/')) {
+      throw new Error(`Invalid ${source}: "${name}.token" must be a URL-safe string of at least 16 characters`);
+    }
+    if (seen.has(definition.token)) {
+      throw new Error(`Invalid ${source}: "${name}.token" is shared with another token`);
+    }
+    seen.add(definition.token);
+
+    for (const scope of SCOPES) {
+      const values = definition[scope];
+      if (values !== undefined && (!Array.isArray(values) || !values.every(value => typeof value === 'string' && value))) {
+        throw new Error(`Invalid ${source}: "${name}.${scope}" must be an array of names`);
+      }
+    }
+    for (const flag of ['revoked', 'admin']) {
+      if (definition[flag] !== undefined && typeof definition[flag] !== 'boolean') {
+        throw new Error(`Invalid ${source}: "${name}.${flag}" must be a boolean`);
+      }
+    }
+    if (definition.limits !== undefined) {
+      if (!isPlainObject(definition.limits)) {
+        throw new Error(`Invalid ${source}: "${name}.limits" must be an object`);
+      }
+      for (const [limit, value] of Object.entries(definition.limits)) {
+        if (!LIMITS.includes(limit)) {
+          throw new Error(`Invalid ${source}: unknown limit "${name}.limits.${limit}". Supported: ${LIMITS.join(', ')}`);
+        }
+        if (!Number.isInteger(value) || value <= 0) {
+          throw new Error(`Invalid ${source}: "${name}.limits.${limit}" must be a positive integer`);
+        }
+      }
+    }
+    if (definition.expiresAt !== undefined && Number.isNaN(Date.parse(definition.expiresAt))) {
+      throw new Error(`Invalid ${source}: "${name}.expiresAt" must be an ISO 8601 date`);
+    }
+    return new Tenant(name, definition);
+  });
+}
+
+// 常量时间比较：长度不同也要比较完整个期望值，不提前返回
+function timingSafeEqual(actual, expected) {
+  const a = tokenEncoder.encode(actual);
+  const b = tokenEncoder.encode(expected);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < b.length; i++) {
+    diff |= (a[i % (a.length || 1)] ?? 0) ^ b[i];
+  }
+  return diff === 0;
+}
+
+// ===== Rate Limit =====
+// 按网关Token限流 - 每个Token一个Durable Object实例保存计数
+// 限额写在GATEWAY_TOKENS中对应Token的limits字段：
+//   { "requestsPerMinute": 60, "tokensPerDay": 2000000, "concurrentStreams": 4 }
+// 请求数按分钟固定窗口计数；token用量按UTC自然日累计，在响应结束后记账，
+// 因此单个请求可以让当天用量略微超出限额，之后的请求才会被拒绝。
+
+// 流式租约的最长存活时间：Worker异常退出没有归还时，到期自动释放
+const STREAM_LEASE_TTL_MS = 15 * 60 * 1000;
+
+// 并发流已满时建议客户端等待的秒数
+const STREAM_RETRY_AFTER_S = 5;
+
+const MINUTE_MS = 60 * 1000;
+
+// Durable Object：同一Token的所有请求串行经过同一个实例，计数不会竞争
+class RateLimiter {
+  constructor(state) {
+    this.storage = state.storage;
+    this.counters = null;
+    state.blockConcurrencyWhile(async () => {
+      this.counters = (await this.storage.get('counters')) || {
+        minute: { start: 0, requests: 0 },
+        day: { date: '', tokens: 0 },
+        leases: {}
+      };
+    });
+  }
+
+  async fetch(request) {
+    const { action, limits, stream, leaseId, tokens } = await request.json();
+    const now = Date.now();
+    this.roll(now);
+
+    let result;
+    if (action === 'acquire') {
+      result = this.acquire(limits, stream, now);
+    } else if (action === 'complete') {
+      if (leaseId) delete this.counters.leases[leaseId];
+      this.counters.day.tokens += tokens || 0;
+      result = { allowed: true };
+    } else {
+      return new Response(`Unknown action: ${action}`, { status: 400 });
+    }
+
+    await this.storage.put('counters', this.counters);
+    return new Response(JSON.stringify({ ...result, ...this.snapshot(limits, now) }), {
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+
+  acquire(limits, stream, now) {
+    const { minute, day, leases } = this.counters;
+
+    if (limits.requestsPerMinute && minute.requests >= limits.requestsPerMinute) {
+      return this.deny(`${limits.requestsPerMinute} requests per minute`, minute.start + MINUTE_MS - now);
+    }
+    if (limits.tokensPerDay && day.tokens >= limits.tokensPerDay) {
+      return this.deny(`${limits.tokensPerDay} tokens per day`, nextUtcMidnight(now) - now);
+    }
+    if (stream && limits.concurrentStreams && Object.keys(leases).length >= limits.concurrentStreams) {
+      return this.deny(`${limits.concurrentStreams} concurrent streams`, STREAM_RETRY_AFTER_S * 1000);
+    }
+
+    minute.requests++;
+    if (!stream) return { allowed: true };
+    const leaseId = crypto.randomUUID();
+    leases[leaseId] = now + STREAM_LEASE_TTL_MS;
+    return { allowed: true, leaseId };
+  }
+
+  deny(limit, waitMs) {
+    return { allowed: false, limit, retryAfter: Math.max(1, Math.ceil(waitMs / 1000)) };
+  }
+
+  // 进入新的分钟/新的一天时清零，顺便清理过期的流式租约
+  roll(now) {
+    const { minute, day, leases } = this.counters;
+    if (now - minute.start >= MINUTE_MS) {
+      minute.start = now;
+      minute.requests = 0;
+    }
+    const today = new Date(now).toISOString().slice(0, 10);
+    if (day.date !== today) {
+      day.date = today;
+      day.tokens = 0;
+    }
+    for (const [id, expiresAt] of Object.entries(leases)) {
+      if (expiresAt <= now) delete leases[id];
+    }
+  }
+
+  snapshot(limits = {}, now) {
+    const { minute, day } = this.counters;
+    return {
+      requests: limits.requestsPerMinute && {
+        limit: limits.requestsPerMinute,
+        remaining: Math.max(0, limits.requestsPerMinute - minute.requests),
+        resetMs: minute.start + MINUTE_MS - now
+      },
+      tokens: limits.tokensPerDay && {
+        limit: limits.tokensPerDay,
+        remaining: Math.max(0, limits.tokensPerDay - day.tokens),
+        resetMs: nextUtcMidnight(now) - now
+      }
+    };
+  }
+}
+
+// Worker侧的客户端：通过RATE_LIMITER绑定访问当前Token的计数器
+class RateLimitClient {
+  constructor(namespace, tenant) {
+    this.stub = namespace.get(namespace.idFromName(tenant.name));
+    this.limits = tenant.limits;
+  }
+
+  acquire(stream) {
+    return this.call({ action: 'acquire', limits: this.limits, stream });
+  }
+
+  // 响应结束：归还流式租约并记入token用量
+  complete(leaseId, tokens) {
+    return this.call({ action: 'complete', limits: this.limits, leaseId, tokens });
+  }
+
+  async call(message) {
+    const response = await this.stub.fetch('https://rate-limiter/', {
+      method: 'POST',
+      body: JSON.stringify(message)
+    });
+    if (!response.ok) {
+      throw new Error(`Rate limiter error ${response.status}: ${await response.text()}`);
+    }
+    return response.json();
+  }
+}
+
+// 与OpenAI相同的x-ratelimit-*响应头，客户端SDK可以直接识别
+function rateLimitHeaders(result) {
+  const headers = {};
+  for (const kind of ['requests', 'tokens']) {
+    const bucket = result[kind];
+    if (!bucket) continue;
+    headers[`x-ratelimit-limit-${kind}`] = String(bucket.limit);
+    headers[`x-ratelimit-remaining-${kind}`] = String(bucket.remaining);
+    headers[`x-ratelimit-reset-${kind}`] = `${Math.max(0, Math.ceil(bucket.resetMs / 1000))}s`;
+  }
+  if (!result.allowed) headers['retry-after'] = String(result.retryAfter);
+  return headers;
+}
+
+function nextUtcMidnight(now) {
+  const date = new Date(now);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+// ===== Usage =====
+// 用量计量 - 从返回给调用方的响应中读取token用量
+// 此时响应已经转换为调用方格式，只需要认识Claude和OpenAI两种usage结构
+
+// 包装响应：响应体读完或被客户端取消时调用一次onComplete({ inputTokens, outputTokens })
+// hideUsage为true时，网关替调用方打开了include_usage，读出OpenAI流式的usage chunk后不再转发
+function meterResponse(response, format, onComplete, { hideUsage = false } = {}) {
+  const usage = { inputTokens: 0, outputTokens: 0 };
+  let reported = false;
+  const report = () => {
+    if (reported) return;
+    reported = true;
+    onComplete(usage);
+  };
+
+  if (!response.ok || !response.body) {
+    report();
+    return response;
+  }
+
+  const contentType = response.headers.get('content-type') || '';
+  if (!contentType.includes('text/event-stream')) {
+    response.clone().json()
+      .then(data => readUsage(format, data, usage), () => {})
+      .finally(report);
+    return response;
+  }
+
+  // 流式响应：边转发边解析SSE事件，不改变转发的字节；hideUsage时按事件重新编码，跳过usage chunk
+  const parser = new SSEParser();
+  const reader = response.body.getReader();
+  const encoder = new TextEncoder();
+  const observe = events => {
+    let forwarded = '';
+    for (const event of events) {
+      if (event.data && event.data !== '[DONE]') {
+        try {
+          const data = JSON.parse(event.data);
+          readUsage(format, data, usage);
+          if (hideUsage && data.usage && Array.isArray(data.choices) && data.choices.length === 0) continue;
+        } catch (e) {
+          // 非JSON事件与用量无关
+        }
+      }
+      forwarded += encodeEvent(event);
+    }
+    return forwarded;
+  };
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        // 重新编码时一个chunk可能还凑不成完整事件，继续读直到有内容可转发
+        for (;;) {
+          const { done, value } = await reader.read();
+          if (done) {
+            const rest = observe(parser.end());
+            if (hideUsage && rest) controller.enqueue(encoder.encode(rest));
+            controller.close();
+            report();
+            return;
+          }
+          const forwarded = observe(parser.feed(value));
+          if (!hideUsage) {
+            controller.enqueue(value);
+            return;
+          }
+          if (forwarded) {
+            controller.enqueue(encoder.encode(forwarded));
+            return;
+          }
+        }
+      } catch (error) {
+        report();
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      report();
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, response);
+}
+
+function encodeEvent({ event, data }) {
+  const type = event && event !== 'message' ? `event: ${event}\n` : '';
+  return `${type}${data.split('\n').map(line => `data: ${line}`).join('\n')}\n\n`;
+}
+
+// Claude流式的message_start带输入用量，message_delta带累计的输出用量；
+// OpenAI只在usage字段中，流式时由最后一个只携带usage的chunk给出（转换流和透传都会保证有这个chunk）
+function readUsage(format, data, usage) {
+  const source = format === 'claude' ? (data.message?.usage || data.usage) : data.usage;
+  if (!source) return usage;
+
+  const input = format === 'claude' ? source.input_tokens : source.prompt_tokens;
+  const output = format === 'claude' ? source.output_tokens : source.completion_tokens;
+  if (typeof input === 'number' && input > 0) usage.inputTokens = input;
+  if (typeof output === 'number') usage.outputTokens = output;
+  return usage;
+}
+
+// ===== Usage Store =====
+// 用量记录与成本报表 - 每个完成的请求写入D1（绑定USAGE_DB），按天/模型/Token汇总
+// 价格表来源：KV(CONFIG_KV中的prices) > 环境变量MODEL_PRICES，单位为美元/百万token：
+//   {
+//     "gemini-2.5-pro": { "input": 1.25, "output": 10 },
+//     "gpt-4o*": { "input": 2.5, "output": 10 }
+//   }
+// 模型名支持*通配符，匹配规则同MODEL_MAPPING：精确名称优先，其次是更具体的通配符。
+
+const USAGE_SCHEMA = `CREATE TABLE IF NOT EXISTS usage_events (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  created_at INTEGER NOT NULL,
+  day TEXT NOT NULL,
+  token_name TEXT NOT NULL,
+  format TEXT NOT NULL,
+  provider TEXT NOT NULL,
+  model TEXT NOT NULL,
+  status INTEGER NOT NULL,
+  stream INTEGER NOT NULL,
+  input_tokens INTEGER NOT NULL,
+  output_tokens INTEGER NOT NULL,
+  latency_ms INTEGER NOT NULL
+)`;
+const USAGE_INDEX = 'CREATE INDEX IF NOT EXISTS usage_events_day ON usage_events (day, token_name)';
+
+// 报表支持的分组维度 → 列名
+const GROUP_COLUMNS = { day: 'day', model: 'model', token: 'token_name', provider: 'provider' };
+const DEFAULT_GROUP_BY = ['day', 'model', 'token'];
+
+// 每个isolate只需要建一次表
+let usageSchemaReady = null;
+
+class UsageStore {
+  constructor(db) {
+    this.db = db;
+  }
+
+  ensureSchema() {
+    usageSchemaReady ||= this.db.batch([this.db.prepare(USAGE_SCHEMA), this.db.prepare(USAGE_INDEX)])
+      .catch(error => {
+        usageSchemaReady = null;
+        throw error;
+      });
+    return usageSchemaReady;
+  }
+
+  async record(event) {
+    await this.ensureSchema();
+    const createdAt = Date.now();
+    await this.db.prepare(
+      `INSERT INTO usage_events (created_at, day, token_name, format, provider, model, status, stream, input_tokens, output_tokens, latency_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    ).bind(
+      createdAt, new Date(createdAt).toISOString().slice(0, 10),
+      event.tokenName, event.format, event.provider, event.model, event.status, event.stream ? 1 : 0,
+      event.inputTokens, event.outputTokens, event.latencyMs
+    ).run();
+  }
+
+  // 先按所有维度从D1取出明细汇总，再按请求的分组合并，成本按模型逐行计算
+  async report({ from, to, groupBy = DEFAULT_GROUP_BY, tokenName = null }, prices) {
+    await this.ensureSchema();
+    const { results } = await this.db.prepare(
+      `SELECT day, model, token_name, provider,
+              COUNT(*) AS requests, SUM(input_tokens) AS input_tokens,
+              SUM(output_tokens) AS output_tokens, SUM(latency_ms) AS latency_ms
+       FROM usage_events
+       WHERE day BETWEEN ? AND ? AND (? IS NULL OR token_name = ?)
+       GROUP BY day, model, token_name, provider`
+    ).bind(from, to, tokenName, tokenName).all();
+
+    const groups = new Map();
+    const totals = emptyAggregate({});
+    for (const row of results) {
+      // 兼容旧记录中带models/前缀的Gemini模型名
+      row.model = row.model.replace(/^models\//, '');
+      const keys = Object.fromEntries(groupBy.map(group => [group, row[GROUP_COLUMNS[group]]]));
+      const id = JSON.stringify(keys);
+      if (!groups.has(id)) groups.set(id, emptyAggregate(keys));
+
+      const cost = prices.estimate(row.model, row.input_tokens, row.output_tokens);
+      for (const aggregate of [groups.get(id), totals]) {
+        aggregate.requests += row.requests;
+        aggregate.inputTokens += row.input_tokens;
+        aggregate.outputTokens += row.output_tokens;
+        aggregate.latencyMs += row.latency_ms;
+        if (cost === null) aggregate.unpricedRequests += row.requests;
+        else aggregate.estimatedCost += cost;
+      }
+    }
+
+    return {
+      from,
+      to,
+      groupBy,
+      currency: 'USD',
+      rows: [...groups.values()].map(finishAggregate)
+        .sort((a, b) => String(a.day ?? '').localeCompare(String(b.day ?? '')) || b.estimatedCost - a.estimatedCost),
+      totals: finishAggregate(totals)
+    };
+  }
+}
+
+class PriceTable {
+  constructor(prices) {
+    const patterns = Object.keys(prices);
+    this.exact = new Map(patterns.filter(model => !model.includes('*')).map(model => [model, prices[model]]));
+    // 与ModelMapper相同：字面部分越长的通配符越具体
+    this.wildcards = patterns.filter(model => model.includes('*'))
+      .sort((a, b) => b.replace(/\*/g, '').length - a.replace(/\*/g, '').length)
+      .map(model => ({ regex: globToRegExp(model), price: prices[model] }));
+  }
+
+  // 返回美元成本；价格表中没有该模型时返回null
+  estimate(model, inputTokens, outputTokens) {
+    const price = this.exact.get(model) || this.wildcards.find(({ regex }) => regex.test(model))?.price;
+    if (!price) return null;
+    return (inputTokens * price.input + outputTokens * price.output) / 1e6;
+  }
+}
+
+function loadPriceTable(env) {
+  return loadJsonConfig(env, {
+    kvKey: 'prices',
+    envVar: 'MODEL_PRICES',
+    build: (prices, source) => new PriceTable(validatePrices(prices, source)),
+    fallback: () => new PriceTable({})
+  });
+}
+
+// 解析报表查询参数：?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day,model,token
+// 默认为最近7天（含今天）
+function parseUsageQuery(searchParams) {
+  const today = new Date().toISOString().slice(0, 10);
+  const weekAgo = new Date(Date.now() - 6 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+  const from = searchParams.get('from') || weekAgo;
+  const to = searchParams.get('to') || today;
+  const groupBy = searchParams.get('groupBy')?.split(',').filter(Boolean) || DEFAULT_GROUP_BY;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return { error: `"${name}" must be a date in YYYY-MM-DD format` };
+    }
+  }
+  const unknown = groupBy.find(group => !GROUP_COLUMNS[group]);
+  if (unknown) {
+    return { error: `Unknown groupBy "${unknown}". Supported: ${Object.keys(GROUP_COLUMNS).join(', ')}` };
+  }
+  return { from, to, groupBy };
+}
+
+function validatePrices(prices, source) {
+  if (!isPlainObject(prices)) {
+    throw new Error(`Invalid ${source}: expected an object keyed by model name`);
+  }
+  for (const [model, price] of Object.entries(prices)) {
+    if (!isPlainObject(price) || !['input', 'output'].every(kind => typeof price[kind] === 'number' && price[kind] >= 0)) {
+      throw new Error(`Invalid ${source}: "${model}" must have numeric "input" and "output" prices per million tokens`);
+    }
+  }
+  return prices;
+}
+
+function emptyAggregate(keys) {
+  return { ...keys, requests: 0, inputTokens: 0, outputTokens: 0, latencyMs: 0, estimatedCost: 0, unpricedRequests: 0 };
+}
+
+function finishAggregate({ latencyMs, estimatedCost, ...aggregate }) {
+  return {
+    ...aggregate,
+    avgLatencyMs: aggregate.requests ? Math.round(latencyMs / aggregate.requests) : 0,
+    estimatedCost: Math.round(estimatedCost * 1e6) / 1e6
+  };
+}
+
+// ===== Format Converter =====
+// 双格式转换器 - 消除Claude和OpenAI格式的特殊情况
+// 增加了对流式响应的实时格式转换支持
+
+// OpenAI请求未指定max_tokens时，转换为Anthropic请求使用的默认值
+const DEFAULT_CLAUDE_MAX_TOKENS = 4096;
+
+// 思考预算（token）：OpenAI reasoning_effort ↔ Claude budget_tokens ↔ Gemini thinkingBudget
+// low/medium/high与Gemini官方OpenAI兼容层的对应关系一致
+const REASONING_EFFORT_BUDGETS = {
+  'none': 0,
+  'minimal': 128,
+  'low': 1024,
+  'medium': 8192,
+  'high': 24576
+};
+
+// Anthropic要求budget_tokens至少为1024
+const MIN_CLAUDE_THINKING_BUDGET = 1024;
+
+// response_format为json_object或json_schema未命名时，承载JSON结果的工具名
+const JSON_RESPONSE_TOOL = 'json_response';
+
+// 结束原因映射表
+const GEMINI_TO_CLAUDE_STOP = {
+  'STOP': 'end_turn',
+  'MAX_TOKENS': 'max_tokens',
+  'SAFETY': 'refusal',
+  'RECITATION': 'refusal',
+  'BLOCKLIST': 'refusal',
+  'PROHIBITED_CONTENT': 'refusal',
+  'SPII': 'refusal',
+  'IMAGE_SAFETY': 'refusal'
+};
+
+const OPENAI_TO_CLAUDE_STOP = {
+  'stop': 'end_turn',
+  'length': 'max_tokens',
+  'tool_calls': 'tool_use',
+  'function_call': 'tool_use',
+  'content_filter': 'refusal'
+};
+
+const GEMINI_TO_OPENAI_FINISH = {
+  'STOP': 'stop',
+  'MAX_TOKENS': 'length',
+  'SAFETY': 'content_filter',
+  'RECITATION': 'content_filter',
+  'BLOCKLIST': 'content_filter',
+  'PROHIBITED_CONTENT': 'content_filter',
+  'SPII': 'content_filter',
+  'IMAGE_SAFETY': 'content_filter'
+};
+
+const CLAUDE_TO_OPENAI_FINISH = {
+  'end_turn': 'stop',
+  'stop_sequence': 'stop',
+  'max_tokens': 'length',
+  'tool_use': 'tool_calls',
+  'refusal': 'content_filter'
+};
+
+// Claude tool_choice.type → Gemini functionCallingConfig.mode
+const CLAUDE_TO_GEMINI_TOOL_MODE = {
+  'auto': 'AUTO',
+  'any': 'ANY',
+  'tool': 'ANY',
+  'none': 'NONE'
+};
+
+// Gemini functionDeclarations.parameters支持的Schema字段
+const GEMINI_SCHEMA_KEYS = new Set([
+  'type', 'format', 'title', 'description', 'nullable', 'enum', 'items', 'minItems', 'maxItems',
+  'properties', 'required', 'propertyOrdering', 'minimum', 'maximum', 'minLength', 'maxLength',
+  'pattern', 'anyOf'
+]);
+
+// HTTP状态码 → 错误类型（Claude type / OpenAI type / OpenAI code）
+const ERROR_TYPES = {
+  400: { claude: 'invalid_request_error', openai: 'invalid_request_error', code: 'invalid_request' },
+  401: { claude: 'authentication_error', openai: 'authentication_error', code: 'invalid_api_key' },
+  403: { claude: 'permission_error', openai: 'permission_error', code: 'permission_denied' },
+  404: { claude: 'not_found_error', openai: 'invalid_request_error', code: 'not_found' },
+  413: { claude: 'request_too_large', openai: 'invalid_request_error', code: 'request_too_large' },
+  429: { claude: 'rate_limit_error', openai: 'rate_limit_error', code: 'rate_limit_exceeded' },
+  500: { claude: 'api_error', openai: 'server_error', code: 'server_error' },
+  503: { claude: 'overloaded_error', openai: 'server_error', code: 'overloaded' },
+  504: { claude: 'timeout_error', openai: 'server_error', code: 'timeout' },
+  529: { claude: 'overloaded_error', openai: 'server_error', code: 'overloaded' }
+};
+
+// 过载状态码：Anthropic使用529，OpenAI/Gemini使用503
+const OVERLOADED_STATUS = {
+  'claude': { 503: 529 },
+  'openai': { 529: 503 }
+};
+
+// 各Provider可接受的媒体类型
+const SUPPORTED_MEDIA_TYPES = {
+  'gemini': ['image/png', 'image/jpeg', 'image/webp', 'image/heic', 'image/heif', 'application/pdf',
+    'text/plain', 'audio/*', 'video/*'],
+  'anthropic': ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf'],
+  'openai': ['image/jpeg', 'image/png', 'image/gif', 'image/webp', 'application/pdf']
+};
+
+// Gemini Files API返回的文件URI，形如 https://generativelanguage.googleapis.com/v1beta/files/abc123
+const GEMINI_FILE_URI_PATTERN = /^https:\/\/generativelanguage\.googleapis\.com\/v1(beta|alpha)?\/files\/[^/?#]+$/;
+
+const EXTENSION_MIME_TYPES = {
+  'png': 'image/png',
+  'jpg': 'image/jpeg',
+  'jpeg': 'image/jpeg',
+  'gif': 'image/gif',
+  'webp': 'image/webp',
+  'heic': 'image/heic',
+  'heif': 'image/heif',
+  'pdf': 'application/pdf'
+};
+
+// 本地token估算：上游没有计数接口时使用，数值只保证量级正确
+// 英文约4个字符一个token，中日韩文字约一个字一个token
+const CHARS_PER_TOKEN = 4;
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g;
+// 每条消息的格式开销，以及图片/文档按一张1024×1024图片的高精度开销估算
+const MESSAGE_OVERHEAD_TOKENS = 3;
+const MEDIA_TOKEN_ESTIMATE = 765;
+
+// 请求中包含目标Provider无法表示的内容时抛出，对应HTTP 400
+class ConversionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ConversionError';
+    this.status = 400;
+  }
+}
+
+// Anthropic SSE事件序列生成器：
+// message_start → ping → (content_block_start → content_block_delta* → content_block_stop)* → message_delta → message_stop
+class ClaudeStreamWriter {
+  constructor(id, model) {
+    this.id = id;
+    this.model = model;
+    this.started = false;
+    this.nextIndex = 0;
+    this.block = null; // 当前打开的内容块 { index, type }
+  }
+
+  emit(output, type, data) {
+    output.enqueue(`event: ${type}\ndata: ${JSON.stringify({ type, ...data })}\n\n`);
+  }
+
+  start(output, inputTokens = 0) {
+    if (this.started) return;
+    this.started = true;
+    this.emit(output, 'message_start', {
+      message: {
+        id: this.id,
+        type: 'message',
+        role: 'assistant',
+        model: this.model,
+        content: [],
+        stop_reason: null,
+        stop_sequence: null,
+        usage: { input_tokens: inputTokens, output_tokens: 0 }
+      }
+    });
+    this.emit(output, 'ping', {});
+  }
+
+  // 打开新的内容块（自动关闭上一个），返回其index
+  openBlock(output, contentBlock) {
+    this.start(output);
+    this.closeBlock(output);
+    this.block = { index: this.nextIndex++, type: contentBlock.type };
+    this.emit(output, 'content_block_start', { index: this.block.index, content_block: contentBlock });
+    return this.block.index;
+  }
+
+  closeBlock(output) {
+    if (!this.block) return;
+    this.emit(output, 'content_block_stop', { index: this.block.index });
+    this.block = null;
+  }
+
+  text(output, text) {
+    if (this.block?.type !== 'text') {
+      this.openBlock(output, { type: 'text', text: '' });
+    }
+    this.emit(output, 'content_block_delta', {
+      index: this.block.index,
+      delta: { type: 'text_delta', text }
+    });
+  }
+
+  // 思考内容：thinking块的签名只有上游提供时才发送signature_delta
+  thinking(output, thinking, signature) {
+    if (this.block?.type !== 'thinking') {
+      this.openBlock(output, { type: 'thinking', thinking: '', signature: '' });
+    }
+    if (thinking) {
+      this.emit(output, 'content_block_delta', {
+        index: this.block.index,
+        delta: { type: 'thinking_delta', thinking }
+      });
+    }
+    this.signature(output, signature);
+  }
+
+  // 签名只挂在当前打开的thinking块上；没有思考内容时丢弃
+  signature(output, signature) {
+    if (!signature || this.block?.type !== 'thinking') return;
+    this.emit(output, 'content_block_delta', {
+      index: this.block.index,
+      delta: { type: 'signature_delta', signature }
+    });
+  }
+
+  toolUse(output, id, name) {
+    return this.openBlock(output, { type: 'tool_use', id, name, input: {} });
+  }
+
+  inputJson(output, index, partialJson) {
+    this.emit(output, 'content_block_delta', {
+      index,
+      delta: { type: 'input_json_delta', partial_json: partialJson }
+    });
+  }
+
+  finish(output, stopReason, usage) {
+    this.start(output, usage.input_tokens);
+    this.closeBlock(output);
+    this.emit(output, 'message_delta', {
+      delta: { stop_reason: stopReason, stop_sequence: null },
+      usage
+    });
+    this.emit(output, 'message_stop', {});
+  }
+}
+
+class FormatConverter {
+  constructor() {
+    this.idCounter = 0;
+  }
+
+  generateId(prefix = 'msg_') {
+    return `${prefix}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  }
+
+  // 统一入口：根据目标格式和Provider进行转换
+  async convertRequest(inputFormat, outputProvider, requestBody) {
+    // 格式一致时直接透传
+    if ((inputFormat === 'openai' && outputProvider === 'openai') ||
+        (inputFormat === 'claude' && outputProvider === 'anthropic')) {
+      return requestBody;
+    }
+
+    if (outputProvider === 'gemini') {
+      if (inputFormat === 'claude') return this.claudeToGeminiRequest(requestBody);
+      if (inputFormat === 'openai') return this.openaiToGeminiRequest(requestBody);
+    }
+
+    if (inputFormat === 'claude' && outputProvider === 'openai') {
+      return this.claudeToOpenAIRequest(requestBody);
+    }
+
+    if (inputFormat === 'openai' && outputProvider === 'anthropic') {
+      return this.openaiToClaudeRequest(requestBody);
+    }
+
+    throw new Error(`Request conversion from ${inputFormat} to ${outputProvider} is not supported.`);
+  }
+
+  // ===== 请求转换 =====
+
+  // Claude Messages → Gemini generateContent
+  claudeToGeminiRequest(body) {
+    const contents = [];
+    // functionResponse需要函数名，而tool_result只带tool_use_id
+    const toolNames = {};
+    for (const message of body.messages || []) {
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const parts = this.normalizeClaudeContent(message.content)
+        .flatMap(block => this.claudeBlockToGeminiParts(block, toolNames));
+      this.appendGeminiContent(contents, role, parts);
+    }
+
+    const request = { contents };
+    const systemText = this.claudeSystemToText(body.system);
+    if (systemText) {
+      request.systemInstruction = { parts: [{ text: systemText }] };
+    }
+
+    this.applyGeminiTools(request, body.tools, body.tool_choice);
+
+    const generationConfig = this.compact({
+      maxOutputTokens: body.max_tokens,
+      temperature: body.temperature,
+      topP: body.top_p,
+      topK: body.top_k,
+      stopSequences: body.stop_sequences,
+      thinkingConfig: this.claudeThinkingToGemini(body.thinking)
+    });
+    if (Object.keys(generationConfig).length > 0) {
+      request.generationConfig = generationConfig;
+    }
+    return request;
+  }
+
+  // OpenAI Chat Completions → Gemini generateContent
+  openaiToGeminiRequest(body) {
+    const contents = [];
+    const systemTexts = [];
+    const toolNames = {};
+    for (const message of body.messages || []) {
+      // system/developer消息统一进入systemInstruction
+      if (message.role === 'system' || message.role === 'developer') {
+        systemTexts.push(this.openaiContentToText(message.content));
+        continue;
+      }
+      const role = message.role === 'assistant' ? 'model' : 'user';
+      const parts = this.openaiMessageToGeminiParts(message, toolNames);
+      this.appendGeminiContent(contents, role, parts);
+    }
+
+    const request = { contents };
+    const systemText = systemTexts.filter(Boolean).join('\n\n');
+    if (systemText) {
+      request.systemInstruction = { parts: [{ text: systemText }] };
+    }
+
+    const { tools, toolChoice } = this.openaiToolsToClaude(body);
+    this.applyGeminiTools(request, tools, toolChoice);
+
+    const responseFormat = this.parseResponseFormat(body);
+
+    const generationConfig = this.compact({
+      maxOutputTokens: body.max_completion_tokens ?? body.max_tokens,
+      temperature: body.temperature,
+      topP: body.top_p,
+      stopSequences: this.normalizeStop(body.stop),
+      presencePenalty: body.presence_penalty,
+      frequencyPenalty: body.frequency_penalty,
+      seed: body.seed,
+      // n>1时Gemini返回多个candidate，响应中各自对应一个choice
+      candidateCount: body.n,
+      thinkingConfig: this.reasoningEffortToGemini(body.reasoning_effort),
+      responseMimeType: responseFormat ? 'application/json' : undefined,
+      responseSchema: responseFormat?.schema ? this.toGeminiSchema(responseFormat.schema) : undefined
+    });
+    if (Object.keys(generationConfig).length > 0) {
+      request.generationConfig = generationConfig;
+    }
+    return request;
+  }
+
+  // Claude Messages → OpenAI Chat Completions
+  claudeToOpenAIRequest(body) {
+    const messages = [];
+    const systemText = this.claudeSystemToText(body.system);
+    if (systemText) {
+      messages.push({ role: 'system', content: systemText });
+    }
+
+    for (const message of body.messages || []) {
+      messages.push(...this.claudeMessageToOpenAI(message));
+    }
+
+    // 推理模型不接受max_tokens，开启thinking时改用max_completion_tokens（包含推理消耗的token）
+    const reasoningEffort = this.claudeThinkingToReasoningEffort(body.thinking);
+    const request = this.compact({
+      model: body.model,
+      messages,
+      max_tokens: reasoningEffort ? undefined : body.max_tokens,
+      max_completion_tokens: reasoningEffort ? body.max_tokens : undefined,
+      temperature: body.temperature,
+      top_p: body.top_p,
+      stop: body.stop_sequences,
+      stream: body.stream,
+      // 让OpenAI在流的最后一个chunk中返回usage
+      stream_options: body.stream ? { include_usage: true } : undefined,
+      user: body.metadata?.user_id,
+      reasoning_effort: reasoningEffort
+    });
+
+    if (body.tools?.length) {
+      request.tools = body.tools.map(tool => ({
+        type: 'function',
+        function: this.compact({
+          name: tool.name,
+          description: tool.description,
+          parameters: tool.input_schema
+        })
+      }));
+    }
+    if (body.tool_choice) {
+      request.tool_choice = this.claudeToolChoiceToOpenAI(body.tool_choice);
+      if (body.tool_choice.disable_parallel_tool_use) {
+        request.parallel_tool_calls = false;
+      }
+    }
+    return request;
+  }
+
+  // OpenAI Chat Completions → Claude Messages
+  openaiToClaudeRequest(body) {
+    // Anthropic每次只生成一条回答，无法对应多个choice
+    if (body.n > 1) {
+      throw new ConversionError(`n=${body.n} is not supported by anthropic, which returns a single choice per request`);
+    }
+
+    const messages = [];
+    const systemTexts = [];
+    // 旧版function_call没有id，按函数名生成并配对
+    const legacyCallIds = {};
+    for (const message of body.messages || []) {
+      if (message.role === 'system' || message.role === 'developer') {
+        systemTexts.push(this.openaiContentToText(message.content));
+        continue;
+      }
+      const role = message.role === 'assistant' ? 'assistant' : 'user';
+      const blocks = this.openaiMessageToClaudeBlocks(message, legacyCallIds);
+      this.appendClaudeMessage(messages, role, blocks);
+    }
+
+    const systemText = systemTexts.filter(Boolean).join('\n\n');
+    const request = this.compact({
+      model: body.model,
+      system: systemText || undefined,
+      messages,
+      // Anthropic要求必须提供max_tokens
+      max_tokens: body.max_completion_tokens ?? body.max_tokens ?? DEFAULT_CLAUDE_MAX_TOKENS,
+      // OpenAI的temperature范围是0-2，Anthropic是0-1
+      temperature: body.temperature === undefined ? undefined : Math.min(body.temperature, 1),
+      top_p: body.top_p,
+      stop_sequences: this.normalizeStop(body.stop),
+      stream: body.stream,
+      metadata: body.user ? { user_id: body.user } : undefined
+    });
+
+    const { tools, toolChoice } = this.openaiToolsToClaude(body);
+    if (tools.length > 0) request.tools = tools;
+    if (toolChoice) request.tool_choice = toolChoice;
+    if (body.parallel_tool_calls === false && tools.length > 0) {
+      request.tool_choice = { ...(request.tool_choice || { type: 'auto' }), disable_parallel_tool_use: true };
+    }
+
+    const budget = this.reasoningBudget(body.reasoning_effort);
+    if (budget) {
+      const budgetTokens = Math.max(budget, MIN_CLAUDE_THINKING_BUDGET);
+      request.thinking = { type: 'enabled', budget_tokens: budgetTokens };
+      // Anthropic要求max_tokens大于思考预算，且开启思考时不能调整temperature/top_p
+      if (request.max_tokens <= budgetTokens) {
+        request.max_tokens = budgetTokens + DEFAULT_CLAUDE_MAX_TOKENS;
+      }
+      delete request.temperature;
+      delete request.top_p;
+    }
+
+    // 结构化输出：Anthropic没有response_format，用一个强制调用的工具承载JSON结果，响应时再解包
+    const responseFormat = this.parseResponseFormat(body);
+    if (responseFormat) {
+      request.tools = [...(request.tools || []), {
+        name: responseFormat.name,
+        description: responseFormat.description || 'Return the final answer as JSON by calling this tool.',
+        input_schema: responseFormat.schema || { type: 'object' }
+      }];
+      // 开启思考时Anthropic不允许强制工具调用；有其他工具时允许模型先调用它们
+      if (request.thinking) {
+        request.tool_choice = { type: 'auto' };
+      } else if (!toolChoice) {
+        request.tool_choice = tools.length > 0 ? { type: 'any' } : { type: 'tool', name: responseFormat.name };
+      }
+    }
+    return request;
+  }
+
+  // ===== 请求转换辅助函数 =====
+
+  // OpenAI response_format → { name, schema, description }；text或未指定时返回null
+  parseResponseFormat(body) {
+    const responseFormat = body?.response_format;
+    if (!responseFormat || responseFormat.type === 'text') return null;
+    if (responseFormat.type === 'json_object') {
+      return { name: JSON_RESPONSE_TOOL, schema: null };
+    }
+    if (responseFormat.type === 'json_schema') {
+      const { name, schema, description } = responseFormat.json_schema || {};
+      if (!schema) {
+        throw new ConversionError('response_format.json_schema.schema is required');
+      }
+      return { name: name || JSON_RESPONSE_TOOL, schema, description };
+    }
+    throw new ConversionError(`Unsupported response_format type: ${responseFormat.type}`);
+  }
+
+  // 未指定时返回undefined，不认识的取值直接报错而不是静默忽略
+  reasoningBudget(effort) {
+    if (effort === undefined || effort === null) return undefined;
+    if (!Object.prototype.hasOwnProperty.call(REASONING_EFFORT_BUDGETS, effort)) {
+      throw new ConversionError(`Unsupported reasoning_effort: ${effort}. Supported: ${Object.keys(REASONING_EFFORT_BUDGETS).join(', ')}`);
+    }
+    return REASONING_EFFORT_BUDGETS[effort];
+  }
+
+  // 思考预算为0表示关闭；开启时要求Gemini返回thought parts
+  reasoningEffortToGemini(effort) {
+    const budget = this.reasoningBudget(effort);
+    if (budget === undefined) return undefined;
+    return budget === 0 ? { thinkingBudget: 0 } : { thinkingBudget: budget, includeThoughts: true };
+  }
+
+  claudeThinkingToGemini(thinking) {
+    if (thinking?.type === 'enabled') return { thinkingBudget: thinking.budget_tokens, includeThoughts: true };
+    if (thinking?.type === 'disabled') return { thinkingBudget: 0 };
+    return undefined;
+  }
+
+  // 按预算取不低于它的最小档位；关闭思考时不传，由模型使用默认值
+  claudeThinkingToReasoningEffort(thinking) {
+    if (thinking?.type !== 'enabled') return undefined;
+    const budget = thinking.budget_tokens || 0;
+    return ['low', 'medium', 'high'].find(effort => budget <= REASONING_EFFORT_BUDGETS[effort]) || 'high';
+  }
+
+  // DeepSeek等OpenAI兼容上游用reasoning_content，OpenRouter等用reasoning
+  openaiReasoningText(message) {
+    const reasoning = message?.reasoning_content ?? message?.reasoning;
+    return typeof reasoning === 'string' ? reasoning : '';
+  }
+
+  // Claude的content可以是字符串或内容块数组，统一为块数组
+  normalizeClaudeContent(content) {
+    if (typeof content === 'string') return [{ type: 'text', text: content }];
+    return Array.isArray(content) ? content : [];
+  }
+
+  // OpenAI的content可以是字符串、parts数组或null，统一为parts数组
+  normalizeOpenAIContent(content) {
+    if (typeof content === 'string') return [{ type: 'text', text: content }];
+    return Array.isArray(content) ? content : [];
+  }
+
+  claudeSystemToText(system) {
+    if (!system) return '';
+    if (typeof system === 'string') return system;
+    return system.filter(block => block.type === 'text').map(block => block.text).join('\n\n');
+  }
+
+  openaiContentToText(content) {
+    return this.normalizeOpenAIContent(content)
+      .filter(part => part.type === 'text')
+      .map(part => part.text)
+      .join('');
+  }
+
+  // tool_result的content可以是字符串或内容块数组
+  claudeToolResultToText(content) {
+    if (typeof content === 'string') return content;
+    return this.normalizeClaudeContent(content)
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('\n');
+  }
+
+  // Claude内容块 → Gemini parts（tool_result中的图片会拆成额外的part）
+  claudeBlockToGeminiParts(block, toolNames) {
+    if (block.type === 'text') return [{ text: block.text }];
+
+    if (block.type === 'image' || block.type === 'document') {
+      return [this.claudeMediaToGeminiPart(block)];
+    }
+
+    if (block.type === 'tool_use') {
+      toolNames[block.id] = block.name;
+      return [{ functionCall: { name: block.name, args: block.input || {} } }];
+    }
+
+    if (block.type === 'tool_result') {
+      const text = this.claudeToolResultToText(block.content);
+      const media = this.normalizeClaudeContent(block.content)
+        .filter(item => item.type === 'image' || item.type === 'document')
+        .map(item => this.claudeMediaToGeminiPart(item));
+      return [{
+        functionResponse: {
+          name: toolNames[block.tool_use_id] || block.tool_use_id,
+          response: block.is_error ? { error: text } : { result: text }
+        }
+      }, ...media];
+    }
+    return [];
+  }
+
+  // Claude image/document → Gemini inlineData/fileData
+  claudeMediaToGeminiPart(block) {
+    const source = block.source || {};
+    if (source.type === 'base64') {
+      this.assertMediaSupported('gemini', source.media_type);
+      return { inlineData: { mimeType: source.media_type, data: source.data } };
+    }
+    if (source.type === 'url') {
+      return this.geminiFileDataPart(source.url, block.type);
+    }
+    if (source.type === 'text') {
+      return { text: source.data };
+    }
+    throw new ConversionError(`Unsupported ${block.type} source type for gemini: ${source.type}`);
+  }
+
+  openaiPartToGeminiPart(part) {
+    if (part.type === 'text') return { text: part.text };
+
+    if (part.type === 'image_url') {
+      const url = part.image_url?.url || '';
+      const dataUrl = this.parseDataUrl(url);
+      if (dataUrl) {
+        this.assertMediaSupported('gemini', dataUrl.mimeType);
+        return { inlineData: dataUrl };
+      }
+      return this.geminiFileDataPart(url, 'image');
+    }
+
+    if (part.type === 'input_audio') {
+      const mimeType = `audio/${part.input_audio.format}`;
+      this.assertMediaSupported('gemini', mimeType);
+      return { inlineData: { mimeType, data: part.input_audio.data } };
+    }
+
+    if (part.type === 'file') {
+      const dataUrl = this.parseDataUrl(part.file?.file_data || '');
+      if (!dataUrl) {
+        throw new ConversionError('Only inline file_data is supported for gemini; file_id references cannot be forwarded');
+      }
+      this.assertMediaSupported('gemini', dataUrl.mimeType);
+      return { inlineData: dataUrl };
+    }
+
+    throw new ConversionError(`Unsupported content part type for gemini: ${part.type}`);
+  }
+
+  // OpenAI content part → Claude内容块
+  openaiPartToClaudeBlock(part) {
+    if (part.type === 'text') return part.text ? { type: 'text', text: part.text } : null;
+
+    if (part.type === 'image_url') {
+      const url = part.image_url?.url || '';
+      const dataUrl = this.parseDataUrl(url);
+      if (dataUrl) {
+        this.assertMediaSupported('anthropic', dataUrl.mimeType);
+        return { type: 'image', source: { type: 'base64', media_type: dataUrl.mimeType, data: dataUrl.data } };
+      }
+      return { type: 'image', source: { type: 'url', url } };
+    }
+
+    if (part.type === 'file') {
+      const dataUrl = this.parseDataUrl(part.file?.file_data || '');
+      if (!dataUrl) {
+        throw new ConversionError('Only inline file_data is supported for anthropic; file_id references cannot be forwarded');
+      }
+      this.assertMediaSupported('anthropic', dataUrl.mimeType);
+      return { type: 'document', source: { type: 'base64', media_type: dataUrl.mimeType, data: dataUrl.data } };
+    }
+
+    throw new ConversionError(`Unsupported content part type for anthropic: ${part.type}`);
+  }
+
+  // Claude内容块 → OpenAI content part
+  claudeBlockToOpenAIPart(block) {
+    if (block.type === 'text') return { type: 'text', text: block.text };
+
+    const source = block.source || {};
+    if (block.type === 'image') {
+      if (source.type === 'base64') {
+        this.assertMediaSupported('openai', source.media_type);
+        return { type: 'image_url', image_url: { url: `data:${source.media_type};base64,${source.data}` } };
+      }
+      if (source.type === 'url') {
+        return { type: 'image_url', image_url: { url: source.url } };
+      }
+    }
+
+    if (block.type === 'document') {
+      if (source.type === 'base64') {
+        this.assertMediaSupported('openai', source.media_type);
+        return {
+          type: 'file',
+          file: { filename: block.title || 'document.pdf', file_data: `data:${source.media_type};base64,${source.data}` }
+        };
+      }
+      if (source.type === 'text') {
+        return { type: 'text', text: source.data };
+      }
+    }
+
+    throw new ConversionError(`Unsupported ${block.type} source type for openai: ${source.type}`);
+  }
+
+  // 一条OpenAI消息 → Gemini parts（含tool_calls与tool/function角色消息）
+  openaiMessageToGeminiParts(message, toolNames) {
+    if (message.role === 'tool' || message.role === 'function') {
+      const name = message.role === 'function' ? message.name : toolNames[message.tool_call_id];
+      return [{
+        functionResponse: {
+          name: name || message.tool_call_id,
+          response: { result: this.openaiContentToText(message.content) }
+        }
+      }];
+    }
+
+    const parts = this.normalizeOpenAIContent(message.content)
+      .map(part => this.openaiPartToGeminiPart(part));
+
+    for (const call of this.openaiToolCalls(message)) {
+      toolNames[call.id] = call.function.name;
+      parts.push({
+        functionCall: { name: call.function.name, args: this.parseToolArguments(call.function.arguments) }
+      });
+    }
+    return parts;
+  }
+
+  // 一条Claude消息 → 一条或多条OpenAI消息（tool_result需要拆成独立的tool消息）
+  claudeMessageToOpenAI(message) {
+    const blocks = this.normalizeClaudeContent(message.content);
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+
+    if (message.role === 'assistant') {
+      const toolCalls = blocks.filter(block => block.type === 'tool_use').map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+      const result = { role: 'assistant', content: text || (toolCalls.length > 0 ? null : '') };
+      if (toolCalls.length > 0) result.tool_calls = toolCalls;
+      return [result];
+    }
+
+    // tool消息必须紧跟在assistant的tool_calls之后，因此排在用户文本之前
+    const toolResults = blocks.filter(block => block.type === 'tool_result');
+    const results = toolResults.map(block => ({
+      role: 'tool',
+      tool_call_id: block.tool_use_id,
+      content: this.claudeToolResultToText(block.content)
+    }));
+
+    // tool消息只能携带文本，tool_result中的图片随后面的用户消息一起发送
+    const mediaBlocks = toolResults
+      .flatMap(block => this.normalizeClaudeContent(block.content))
+      .filter(block => block.type === 'image' || block.type === 'document');
+    const userBlocks = [...mediaBlocks, ...blocks.filter(block => block.type !== 'tool_result')];
+
+    if (userBlocks.some(block => block.type !== 'text')) {
+      results.push({ role: message.role, content: userBlocks.map(block => this.claudeBlockToOpenAIPart(block)) });
+    } else if (text || results.length === 0) {
+      results.push({ role: message.role, content: text });
+    }
+    return results;
+  }
+
+  // 一条OpenAI消息 → Claude内容块
+  openaiMessageToClaudeBlocks(message, legacyCallIds) {
+    if (message.role === 'tool' || message.role === 'function') {
+      const toolUseId = message.role === 'function' ? legacyCallIds[message.name] : message.tool_call_id;
+      return [{
+        type: 'tool_result',
+        tool_use_id: toolUseId,
+        content: this.openaiContentToText(message.content)
+      }];
+    }
+
+    const blocks = this.normalizeOpenAIContent(message.content)
+      .map(part => this.openaiPartToClaudeBlock(part))
+      .filter(Boolean);
+
+    for (const call of this.openaiToolCalls(message)) {
+      legacyCallIds[call.function.name] = call.id;
+      blocks.push({
+        type: 'tool_use',
+        id: call.id,
+        name: call.function.name,
+        input: this.parseToolArguments(call.function.arguments)
+      });
+    }
+    return blocks;
+  }
+
+  // 解析 data:{mime};base64,{data} 形式的URL
+  parseDataUrl(url) {
+    const match = /^data:([^;,]+)(?:;[^,]*)?;base64,(.*)$/s.exec(url);
+    return match ? { mimeType: match[1], data: match[2] } : null;
+  }
+
+  // Gemini的fileData只接受Files API上传后的URI，不会替调用方下载任意https地址
+  geminiFileDataPart(url, blockType) {
+    if (!GEMINI_FILE_URI_PATTERN.test(url)) {
+      throw new ConversionError(`Gemini cannot fetch remote ${blockType} URLs: send the ${blockType} as base64 inline data or upload it with the Gemini Files API and pass the file URI`);
+    }
+    const mimeType = this.guessMimeType(url, blockType);
+    this.assertMediaSupported('gemini', mimeType);
+    return { fileData: { mimeType, fileUri: url } };
+  }
+
+  // 远程URL无法得知媒体类型时，按扩展名推断
+  guessMimeType(url, blockType) {
+    const extension = (url.split(/[?#]/)[0].split('.').pop() || '').toLowerCase();
+    return EXTENSION_MIME_TYPES[extension] || (blockType === 'document' ? 'application/pdf' : 'image/jpeg');
+  }
+
+  assertMediaSupported(provider, mimeType) {
+    const supported = SUPPORTED_MEDIA_TYPES[provider].some(type =>
+      type.endsWith('/*') ? mimeType?.startsWith(type.slice(0, -1)) : type === mimeType);
+    if (!supported) {
+      throw new ConversionError(`Media type ${mimeType} is not supported by ${provider}`);
+    }
+  }
+
+  // 统一tool_calls与旧版function_call
+  openaiToolCalls(message) {
+    if (message.tool_calls?.length) return message.tool_calls;
+    if (message.function_call) {
+      return [{ id: this.generateId('call_'), type: 'function', function: message.function_call }];
+    }
+    return [];
+  }
+
+  // OpenAI的tools/functions与tool_choice/function_call → Claude格式
+  openaiToolsToClaude(body) {
+    const definitions = body.tools?.length
+      ? body.tools.filter(tool => tool.type === 'function').map(tool => tool.function)
+      : (body.functions || []);
+
+    const tools = definitions.map(fn => this.compact({
+      name: fn.name,
+      description: fn.description,
+      input_schema: fn.parameters || { type: 'object', properties: {} }
+    }));
+
+    const choice = body.tool_choice ?? body.function_call;
+    let toolChoice;
+    if (choice === 'auto') toolChoice = { type: 'auto' };
+    else if (choice === 'required') toolChoice = { type: 'any' };
+    else if (choice === 'none') toolChoice = { type: 'none' };
+    else if (choice && typeof choice === 'object') {
+      toolChoice = { type: 'tool', name: choice.function?.name || choice.name };
+    }
+
+    return { tools, toolChoice };
+  }
+
+  claudeToolChoiceToOpenAI(toolChoice) {
+    if (toolChoice.type === 'any') return 'required';
+    if (toolChoice.type === 'none') return 'none';
+    if (toolChoice.type === 'tool') return { type: 'function', function: { name: toolChoice.name } };
+    return 'auto';
+  }
+
+  // 将Claude风格的tools/tool_choice写入Gemini请求
+  applyGeminiTools(request, tools, toolChoice) {
+    if (!tools?.length) return;
+
+    request.tools = [{
+      functionDeclarations: tools.map(tool => this.compact({
+        name: tool.name,
+        description: tool.description,
+        parameters: this.toGeminiSchema(tool.input_schema)
+      }))
+    }];
+
+    if (!toolChoice) return;
+    const functionCallingConfig = { mode: CLAUDE_TO_GEMINI_TOOL_MODE[toolChoice.type] || 'AUTO' };
+    if (toolChoice.type === 'tool') {
+      functionCallingConfig.allowedFunctionNames = [toolChoice.name];
+    }
+    request.toolConfig = { functionCallingConfig };
+  }
+
+  // Gemini只接受OpenAPI Schema子集，清理掉它会拒绝的JSON Schema关键字
+  toGeminiSchema(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (Array.isArray(schema)) return schema.map(item => this.toGeminiSchema(item));
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (!GEMINI_SCHEMA_KEYS.has(key)) continue;
+      if (key === 'properties') {
+        result.properties = {};
+        for (const [name, prop] of Object.entries(value)) {
+          result.properties[name] = this.toGeminiSchema(prop);
+        }
+      } else if (key === 'items' || key === 'anyOf') {
+        result[key] = this.toGeminiSchema(value);
+      } else {
+        result[key] = value;
+      }
+    }
+
+    // type: ["string", "null"] → type: "string", nullable: true
+    if (Array.isArray(schema.type)) {
+      const types = schema.type.filter(type => type !== 'null');
+      result.type = types[0];
+      if (types.length < schema.type.length) result.nullable = true;
+    }
+    if (schema.const !== undefined) {
+      result.enum = [schema.const];
+    }
+    // STRING类型只支持enum和date-time两种format
+    if (result.type === 'string' && result.format && !['enum', 'date-time'].includes(result.format)) {
+      delete result.format;
+    }
+    return result;
+  }
+
+  // tool_call的arguments是JSON字符串，模型偶尔会生成非法JSON
+  parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+      return JSON.parse(args);
+    } catch (e) {
+      return {};
+    }
+  }
+
+  // Gemini要求user/model交替出现，相邻同角色的消息合并
+  appendGeminiContent(contents, role, parts) {
+    if (parts.length === 0) return;
+    const last = contents[contents.length - 1];
+    if (last && last.role === role) {
+      last.parts.push(...parts);
+    } else {
+      contents.push({ role, parts });
+    }
+  }
+
+  // Anthropic同样要求user/assistant交替，合并相邻同角色消息
+  appendClaudeMessage(messages, role, blocks) {
+    if (blocks.length === 0) return;
+    const last = messages[messages.length - 1];
+    if (last && last.role === role) {
+      last.content.push(...blocks);
+    } else {
+      messages.push({ role, content: blocks });
+    }
+  }
+
+  // OpenAI的stop可以是字符串或数组
+  normalizeStop(stop) {
+    if (stop === undefined || stop === null) return undefined;
+    return Array.isArray(stop) ? stop : [stop];
+  }
+
+  // 移除值为undefined的字段，避免向上游发送无意义的键
+  compact(obj) {
+    const result = {};
+    for (const [key, value] of Object.entries(obj)) {
+      if (value !== undefined) result[key] = value;
+    }
+    return result;
+  }
+
+  async convertResponse(targetFormat, sourceProvider, response, originalRequest) {
+    const isStream = this.isStreamResponse(response, originalRequest);
+    
+    if (isStream) {
+      // 流式：通过TransformStream进行实时格式转换
+      const responseTool = this.parseResponseFormat(originalRequest)?.name;
+      const includeUsage = originalRequest.stream_options?.include_usage === true;
+      const conversionStream = this.getConversionStream(targetFormat, sourceProvider, originalRequest.model, responseTool, includeUsage);
+      const newBody = response.body.pipeThrough(conversionStream);
+      
+      return new Response(newBody, {
+        status: response.status,
+        headers: {
+          'Content-Type': 'text/event-stream',
+          'Cache-Control': 'no-cache',
+          'Connection': 'keep-alive',
+        }
+      });
+    } else {
+      // 非流式：格式转换
+      const responseData = await response.json();
+      
+      if (targetFormat === 'claude') {
+        return this.convertToClaude(sourceProvider, responseData, response.status, originalRequest);
+      } else if (targetFormat === 'openai') {
+        return this.convertToOpenAI(sourceProvider, responseData, response.status, originalRequest);
+      }
+      throw new Error(`Unsupported target format: ${targetFormat}`);
+    }
+  }
+
+  // 获取转换流
+  // responseTool为模拟结构化输出的工具名，其调用参数要还原为消息正文；
+  // includeUsage对应OpenAI的stream_options.include_usage，为true时OpenAI格式的流以usage chunk结尾
+  getConversionStream(targetFormat, sourceProvider, model, responseTool, includeUsage) {
+    // 如果源和目标格式一致，则直接透传
+    if ((targetFormat === 'openai' && sourceProvider === 'openai') ||
+        (targetFormat === 'claude' && sourceProvider === 'anthropic')) {
+      return new TransformStream(); // Passthrough
+    }
+
+    // Gemini -> OpenAI 流转换
+    if (sourceProvider === 'gemini' && targetFormat === 'openai') {
+      return this.createGeminiToOpenAIStream(model, includeUsage);
+    }
+    
+    // Anthropic -> OpenAI 流转换
+    if (sourceProvider === 'anthropic' && targetFormat === 'openai') {
+        return this.createClaudeToOpenAIStream(model, responseTool, includeUsage);
+    }
+
+    // Gemini -> Claude 流转换
+    if (sourceProvider === 'gemini' && targetFormat === 'claude') {
+      return this.createGeminiToClaudeStream(model);
+    }
+
+    // OpenAI -> Claude 流转换
+    if (sourceProvider === 'openai' && targetFormat === 'claude') {
+      return this.createOpenAIToClaudeStream(model);
+    }
+
+    // 对于其他未实现的流式转换，抛出明确错误
+    throw new Error(`Stream conversion from ${sourceProvider} to ${targetFormat} is not supported.`);
+  }
+
+  // 所有流转换共用的骨架：SSEParser解析上游事件，输出的字符串统一编码为字节
+  createSSETransform(onEvent, onFlush) {
+    const parser = new SSEParser();
+    const encoder = new TextEncoder();
+    const wrap = (controller) => ({ enqueue: (text) => controller.enqueue(encoder.encode(text)) });
+
+    const dispatch = (events, output) => {
+      for (const event of events) {
+        if (event.data === '[DONE]') continue;
+        try {
+          onEvent(JSON.parse(event.data), output, event);
+        } catch (e) {
+          console.error('Error handling stream event:', e, event.data);
+        }
+      }
+    };
+
+    return new TransformStream({
+      transform: (chunk, controller) => {
+        dispatch(parser.feed(chunk), wrap(controller));
+      },
+      flush: (controller) => {
+        const output = wrap(controller);
+        dispatch(parser.end(), output);
+        onFlush(output);
+      }
+    });
+  }
+
+  // 创建 OpenAI -> Claude 的转换流
+  createOpenAIToClaudeStream(model) {
+    const writer = new ClaudeStreamWriter(this.generateId('msg_'), model);
+    let stopReason = 'end_turn';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+    // OpenAI tool_calls[].index → Claude内容块index
+    const toolBlocks = {};
+
+    return this.createSSETransform((openaiData, output) => {
+      writer.start(output);
+
+      // stream_options.include_usage时，最后一个chunk只携带usage
+      if (openaiData.usage) {
+        usage.input_tokens = openaiData.usage.prompt_tokens || 0;
+        usage.output_tokens = openaiData.usage.completion_tokens || 0;
+      }
+
+      const choice = openaiData.choices && openaiData.choices[0];
+      if (!choice) return;
+
+      const reasoning = this.openaiReasoningText(choice.delta);
+      if (reasoning) {
+        writer.thinking(output, reasoning);
+      }
+      if (choice.delta && choice.delta.content) {
+        writer.text(output, choice.delta.content);
+      }
+
+      for (const call of (choice.delta && choice.delta.tool_calls) || []) {
+        // 带id的delta表示一个新的工具调用开始
+        if (call.id) {
+          toolBlocks[call.index] = writer.toolUse(output, call.id, call.function?.name);
+        }
+        if (call.function?.arguments && toolBlocks[call.index] !== undefined) {
+          writer.inputJson(output, toolBlocks[call.index], call.function.arguments);
+        }
+      }
+
+      if (choice.finish_reason) {
+        stopReason = OPENAI_TO_CLAUDE_STOP[choice.finish_reason] || 'end_turn';
+      }
+    }, (output) => {
+      writer.finish(output, stopReason, usage);
+    });
+  }
+
+  // 创建 Gemini -> Claude 的转换流
+  createGeminiToClaudeStream(model) {
+    const writer = new ClaudeStreamWriter(this.generateId('msg_'), model);
+    let hasToolUse = false;
+    let stopReason = 'end_turn';
+    const usage = { input_tokens: 0, output_tokens: 0 };
+
+    return this.createSSETransform((geminiData, output) => {
+      // Gemini每个chunk都携带累计的usageMetadata
+      if (geminiData.usageMetadata) {
+        const { promptTokenCount, candidatesTokenCount, thoughtsTokenCount } = geminiData.usageMetadata;
+        usage.input_tokens = promptTokenCount || 0;
+        usage.output_tokens = (candidatesTokenCount || 0) + (thoughtsTokenCount || 0);
+      }
+      writer.start(output, usage.input_tokens);
+
+      // 输入被拦截时没有candidates，只有promptFeedback
+      if (this.geminiBlockReason(geminiData)) {
+        stopReason = 'refusal';
+      }
+
+      const candidate = geminiData.candidates && geminiData.candidates[0];
+      if (!candidate) return;
+
+      for (const geminiPart of (candidate.content && candidate.content.parts) || []) {
+        // Gemini通常把思考签名放在思考之后的第一个text/functionCall part上，此时thinking块还没关闭
+        if (!geminiPart.thought) writer.signature(output, geminiPart.thoughtSignature);
+        if (geminiPart.thought) {
+          writer.thinking(output, geminiPart.text, geminiPart.thoughtSignature);
+        } else if (geminiPart.text) {
+          writer.text(output, geminiPart.text);
+        } else if (geminiPart.functionCall) {
+          // Gemini一次性返回完整的函数调用
+          hasToolUse = true;
+          const { name, args, id } = geminiPart.functionCall;
+          const index = writer.toolUse(output, id || this.generateId('toolu_'), name);
+          writer.inputJson(output, index, JSON.stringify(args || {}));
+        }
+      }
+
+      if (candidate.finishReason) {
+        stopReason = GEMINI_TO_CLAUDE_STOP[candidate.finishReason] || 'end_turn';
+      }
+    }, (output) => {
+      writer.finish(output, hasToolUse ? 'tool_use' : stopReason, usage);
+    });
+  }
+
+  // 创建 Gemini -> OpenAI 的转换流
+  createGeminiToOpenAIStream(model, includeUsage) {
+    const completionId = this.generateId('chatcmpl-');
+    const created = Math.floor(Date.now() / 1000);
+    // 每个candidate对应一个choice，各自记录工具调用数和结束原因
+    const choices = new Map();
+    const choiceState = (index) => {
+      if (!choices.has(index)) choices.set(index, { toolCallCount: 0, finishReason: 'stop' });
+      return choices.get(index);
+    };
+    const emit = (output, index, delta, finishReason = null) => {
+      const openaiChunk = this.buildOpenAIChunk(completionId, created, model, delta, finishReason, index);
+      output.enqueue(`data: ${JSON.stringify(openaiChunk)}\n\n`);
+    };
+    let usageMetadata = {};
+    const refuse = (output, index, blockReason) => {
+      choiceState(index).finishReason = 'content_filter';
+      emit(output, index, { refusal: this.geminiRefusalText(blockReason) });
+    };
+
+    return this.createSSETransform((geminiData, output) => {
+      // Gemini每个chunk都携带累计的usageMetadata，流结束时以最后一次为准
+      if (geminiData.usageMetadata) usageMetadata = geminiData.usageMetadata;
+      const candidates = geminiData.candidates || [];
+      // 输入被拦截时没有candidates，只有promptFeedback
+      if (candidates.length === 0) {
+        const blockReason = this.geminiBlockReason(geminiData);
+        if (blockReason) refuse(output, 0, blockReason);
+        return;
+      }
+
+      candidates.forEach((candidate, position) => {
+        const index = candidate.index ?? position;
+        const choice = choiceState(index);
+
+        for (const geminiPart of (candidate.content && candidate.content.parts) || []) {
+          if (geminiPart.thought) {
+            if (geminiPart.text) emit(output, index, { reasoning_content: geminiPart.text });
+          } else if (geminiPart.text) {
+            emit(output, index, { content: geminiPart.text });
+          } else if (geminiPart.functionCall) {
+            const { name, args, id } = geminiPart.functionCall;
+            emit(output, index, {
+              tool_calls: [{
+                index: choice.toolCallCount++,
+                id: id || this.generateId('call_'),
+                type: 'function',
+                function: { name, arguments: JSON.stringify(args || {}) }
+              }]
+            });
+          }
+        }
+
+        const blockReason = this.geminiBlockReason(geminiData, candidate);
+        if (blockReason) {
+          refuse(output, index, blockReason);
+        } else if (candidate.finishReason) {
+          choice.finishReason = GEMINI_TO_OPENAI_FINISH[candidate.finishReason] || 'stop';
+        }
+      });
+    }, (output) => {
+      // 流结束时为每个choice发送结束标志
+      if (choices.size === 0) choiceState(0);
+      for (const [index, choice] of [...choices].sort(([a], [b]) => a - b)) {
+        emit(output, index, {}, choice.toolCallCount > 0 ? 'tool_calls' : choice.finishReason);
+      }
+      if (includeUsage) {
+        const { promptTokenCount, candidatesTokenCount, thoughtsTokenCount } = usageMetadata;
+        const usage = this.buildOpenAIUsage(promptTokenCount || 0,
+          (candidatesTokenCount || 0) + (thoughtsTokenCount || 0), thoughtsTokenCount);
+        output.enqueue(`data: ${JSON.stringify(this.buildOpenAIUsageChunk(completionId, created, model, usage))}\n\n`);
+      }
+      output.enqueue('data: [DONE]\n\n');
+    });
+  }
+    
+  // 创建 Claude -> OpenAI 的转换流
+  createClaudeToOpenAIStream(model, responseTool, includeUsage) {
+    const completionId = this.generateId('chatcmpl-');
+    const created = Math.floor(Date.now() / 1000);
+    // Claude内容块index → OpenAI tool_calls[].index
+    const toolIndexes = {};
+    // 承载结构化输出的工具块，其参数作为content输出
+    const jsonBlocks = new Set();
+    let toolCallCount = 0;
+    let finishReason = 'stop';
+    // message_start带输入用量，message_delta带累计的输出用量
+    let promptTokens = 0;
+    let completionTokens = 0;
+
+    return this.createSSETransform((claudeData, output) => {
+      let openaiChunk = null;
+      const usage = claudeData.type === 'message_start' ? claudeData.message?.usage : claudeData.usage;
+      if (usage) {
+        if (typeof usage.input_tokens === 'number' && usage.input_tokens > 0) promptTokens = usage.input_tokens;
+        if (typeof usage.output_tokens === 'number') completionTokens = usage.output_tokens;
+      }
+
+      if (claudeData.type === 'content_block_start' && claudeData.content_block.type === 'tool_use' &&
+          claudeData.content_block.name === responseTool) {
+        jsonBlocks.add(claudeData.index);
+      } else if (claudeData.type === 'content_block_delta' && jsonBlocks.has(claudeData.index)) {
+        openaiChunk = this.buildOpenAIChunk(completionId, created, model, { content: claudeData.delta.partial_json });
+      } else if (claudeData.type === 'content_block_start' && claudeData.content_block.type === 'tool_use') {
+        const toolIndex = toolIndexes[claudeData.index] = toolCallCount++;
+        openaiChunk = this.buildOpenAIChunk(completionId, created, model, {
+          tool_calls: [{
+            index: toolIndex,
+            id: claudeData.content_block.id,
+            type: 'function',
+            function: { name: claudeData.content_block.name, arguments: '' }
+          }]
+        });
+      } else if (claudeData.type === 'content_block_delta' && claudeData.delta.type === 'text_delta') {
+        openaiChunk = this.buildOpenAIChunk(completionId, created, model, { content: claudeData.delta.text });
+      } else if (claudeData.type === 'content_block_delta' && claudeData.delta.type === 'thinking_delta') {
+        openaiChunk = this.buildOpenAIChunk(completionId, created, model, { reasoning_content: claudeData.delta.thinking });
+      } else if (claudeData.type === 'content_block_delta' && claudeData.delta.type === 'input_json_delta') {
+        openaiChunk = this.buildOpenAIChunk(completionId, created, model, {
+          tool_calls: [{
+            index: toolIndexes[claudeData.index],
+            function: { arguments: claudeData.delta.partial_json }
+          }]
+        });
+      } else if (claudeData.type === 'message_delta' && claudeData.delta.stop_reason) {
+        finishReason = CLAUDE_TO_OPENAI_FINISH[claudeData.delta.stop_reason] || 'stop';
+        // 只调用了结构化输出工具时，对调用方而言是正常结束
+        if (finishReason === 'tool_calls' && toolCallCount === 0) finishReason = 'stop';
+      } else if (claudeData.type === 'message_stop') {
+        openaiChunk = this.buildOpenAIChunk(completionId, created, model, {}, finishReason);
+      }
+
+      if (openaiChunk) {
+        output.enqueue(`data: ${JSON.stringify(openaiChunk)}\n\n`);
+      }
+    }, (output) => {
+      if (includeUsage) {
+        const usage = this.buildOpenAIUsage(promptTokens, completionTokens);
+        output.enqueue(`data: ${JSON.stringify(this.buildOpenAIUsageChunk(completionId, created, model, usage))}\n\n`);
+      }
+      output.enqueue('data: [DONE]\n\n');
+    });
+  }
+
+  // 构建OpenAI流式chunk
+  buildOpenAIChunk(completionId, created, model, delta, finishReason = null, index = 0) {
+    return {
+      id: completionId,
+      object: 'chat.completion.chunk',
+      created: created,
+      model: model,
+      choices: [{
+        index,
+        delta,
+        finish_reason: finishReason
+      }]
+    };
+  }
+
+  // stream_options.include_usage时流式的最后一个chunk：与OpenAI的结构相同，choices为空，只携带usage
+  buildOpenAIUsageChunk(completionId, created, model, usage) {
+    return {
+      id: completionId,
+      object: 'chat.completion.chunk',
+      created: created,
+      model: model,
+      choices: [],
+      usage
+    };
+  }
+
+  buildOpenAIUsage(promptTokens, completionTokens, reasoningTokens) {
+    const usage = {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    };
+    if (reasoningTokens) {
+      usage.completion_tokens_details = { reasoning_tokens: reasoningTokens };
+    }
+    return usage;
+  }
+
+  // ===== 非流式响应转换 =====
+
+  // 上游声明为SSE，或客户端请求了stream，都按流式处理
+  isStreamResponse(response, originalRequest) {
+    const contentType = response.headers.get('content-type') || '';
+    return contentType.includes('text/event-stream') || originalRequest?.stream === true;
+  }
+
+  // 任意Provider响应 → Claude Messages响应
+  convertToClaude(sourceProvider, data, status, originalRequest) {
+    if (sourceProvider === 'anthropic') {
+      return this.jsonResponse(data, status);
+    }
+
+    let message;
+    if (sourceProvider === 'gemini') {
+      const candidate = data.candidates?.[0] || {};
+      const usage = data.usageMetadata || {};
+      const content = this.geminiPartsToClaudeBlocks(candidate.content?.parts);
+      message = {
+        id: data.responseId ? `msg_${data.responseId}` : this.generateId('msg_'),
+        model: originalRequest?.model || data.modelVersion,
+        content,
+        // Gemini调用函数时finishReason仍是STOP；输入被拦截时没有candidate
+        stopReason: content.some(block => block.type === 'tool_use')
+          ? 'tool_use'
+          : (this.geminiBlockReason(data) ? 'refusal' : (GEMINI_TO_CLAUDE_STOP[candidate.finishReason] || 'end_turn')),
+        inputTokens: usage.promptTokenCount || 0,
+        // 思考消耗的token单独计数，按Anthropic的口径计入输出
+        outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+      };
+    } else if (sourceProvider === 'openai') {
+      const choice = data.choices?.[0] || {};
+      const usage = data.usage || {};
+      message = {
+        id: data.id || this.generateId('msg_'),
+        model: data.model || originalRequest?.model,
+        content: this.openaiMessageToClaudeResponseBlocks(choice.message || {}),
+        stopReason: OPENAI_TO_CLAUDE_STOP[choice.finish_reason] || 'end_turn',
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0
+      };
+    } else {
+      throw new Error(`Response conversion from ${sourceProvider} to claude is not supported.`);
+    }
+
+    return this.jsonResponse({
+      id: message.id,
+      type: 'message',
+      role: 'assistant',
+      model: message.model,
+      content: message.content,
+      stop_reason: message.stopReason,
+      stop_sequence: null,
+      usage: {
+        input_tokens: message.inputTokens,
+        output_tokens: message.outputTokens
+      }
+    }, status);
+  }
+
+  // 任意Provider响应 → OpenAI Chat Completions响应
+  convertToOpenAI(sourceProvider, data, status, originalRequest) {
+    if (sourceProvider === 'openai') {
+      return this.jsonResponse(data, status);
+    }
+
+    let completion;
+    if (sourceProvider === 'gemini') {
+      const usage = data.usageMetadata || {};
+      // candidateCount>1时每个candidate对应一个choice；输入被拦截时没有candidate
+      const candidates = data.candidates?.length ? data.candidates : [{}];
+      completion = {
+        id: data.responseId ? `chatcmpl-${data.responseId}` : this.generateId('chatcmpl-'),
+        model: originalRequest?.model || data.modelVersion,
+        choices: candidates.map((candidate, position) => {
+          const parts = candidate.content?.parts || [];
+          const toolCalls = parts.filter(part => part.functionCall).map(part => ({
+            id: part.functionCall.id || this.generateId('call_'),
+            type: 'function',
+            function: { name: part.functionCall.name, arguments: JSON.stringify(part.functionCall.args || {}) }
+          }));
+          const blockReason = this.geminiBlockReason(data, candidate);
+          return {
+            index: candidate.index ?? position,
+            content: this.geminiPartsToText(parts),
+            reasoning: this.geminiPartsToText(parts, true),
+            refusal: blockReason ? this.geminiRefusalText(blockReason) : null,
+            toolCalls,
+            finishReason: toolCalls.length > 0
+              ? 'tool_calls'
+              : (blockReason ? 'content_filter' : (GEMINI_TO_OPENAI_FINISH[candidate.finishReason] || 'stop'))
+          };
+        }),
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0),
+        reasoningTokens: usage.thoughtsTokenCount
+      };
+    } else if (sourceProvider === 'anthropic') {
+      const usage = data.usage || {};
+      const blocks = data.content || [];
+      // 结构化输出工具的参数就是调用方要的JSON正文
+      const responseTool = this.parseResponseFormat(originalRequest)?.name;
+      const jsonBlock = blocks.find(block => block.type === 'tool_use' && block.name === responseTool);
+      const toolCalls = blocks.filter(block => block.type === 'tool_use' && block !== jsonBlock).map(block => ({
+        id: block.id,
+        type: 'function',
+        function: { name: block.name, arguments: JSON.stringify(block.input || {}) }
+      }));
+      completion = {
+        id: data.id ? `chatcmpl-${data.id}` : this.generateId('chatcmpl-'),
+        model: data.model || originalRequest?.model,
+        choices: [{
+          index: 0,
+          content: jsonBlock
+            ? JSON.stringify(jsonBlock.input)
+            : blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+          reasoning: blocks.filter(block => block.type === 'thinking').map(block => block.thinking).join(''),
+          toolCalls,
+          finishReason: jsonBlock && toolCalls.length === 0 ? 'stop' : (CLAUDE_TO_OPENAI_FINISH[data.stop_reason] || 'stop')
+        }],
+        promptTokens: usage.input_tokens || 0,
+        completionTokens: usage.output_tokens || 0
+      };
+    } else {
+      throw new Error(`Response conversion from ${sourceProvider} to openai is not supported.`);
+    }
+
+    const usage = this.buildOpenAIUsage(completion.promptTokens, completion.completionTokens, completion.reasoningTokens);
+
+    return this.jsonResponse({
+      id: completion.id,
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model: completion.model,
+      choices: completion.choices.map(choice => ({
+        index: choice.index,
+        message: this.buildOpenAIMessage(choice),
+        logprobs: null,
+        finish_reason: choice.finishReason
+      })),
+      usage
+    }, status);
+  }
+
+  // 单个choice → OpenAI assistant message
+  buildOpenAIMessage(choice) {
+    const message = { role: 'assistant', content: choice.content };
+    if (choice.refusal) {
+      message.content = choice.content || null;
+      message.refusal = choice.refusal;
+    }
+    if (choice.reasoning) {
+      message.reasoning_content = choice.reasoning;
+    }
+    if (choice.toolCalls.length > 0) {
+      message.content = choice.content || null;
+      message.tool_calls = choice.toolCalls;
+    }
+    return message;
+  }
+
+  // Gemini拦截输入（promptFeedback）或输出（finishReason为SAFETY等）时返回原因，否则返回null
+  geminiBlockReason(data, candidate = data.candidates?.[0]) {
+    if (data.promptFeedback?.blockReason) return data.promptFeedback.blockReason;
+    const finishReason = candidate?.finishReason;
+    return GEMINI_TO_CLAUDE_STOP[finishReason] === 'refusal' ? finishReason : null;
+  }
+
+  geminiRefusalText(blockReason) {
+    return `The response was blocked by Gemini safety filters (${blockReason}).`;
+  }
+
+  // 拼接Gemini candidate中的文本part；thoughts为true时只取思考内容，否则排除思考内容
+  geminiPartsToText(parts, thoughts = false) {
+    return (parts || [])
+      .filter(part => typeof part.text === 'string' && Boolean(part.thought) === thoughts)
+      .map(part => part.text)
+      .join('');
+  }
+
+  // Gemini parts → Claude内容块（thinking / text / tool_use），相邻的同类文本合并
+  geminiPartsToClaudeBlocks(parts) {
+    const blocks = [];
+    for (const part of parts || []) {
+      const last = blocks[blocks.length - 1];
+      // 签名可能在思考之后的text/functionCall part上，归到前面的thinking块
+      if (!part.thought && part.thoughtSignature && last?.type === 'thinking') {
+        last.signature = part.thoughtSignature;
+      }
+      if (part.thought && typeof part.text === 'string') {
+        if (last && last.type === 'thinking') {
+          last.thinking += part.text;
+          last.signature = part.thoughtSignature || last.signature;
+        } else {
+          blocks.push({ type: 'thinking', thinking: part.text, signature: part.thoughtSignature || '' });
+        }
+      } else if (typeof part.text === 'string' && part.text) {
+        if (last && last.type === 'text') {
+          last.text += part.text;
+        } else {
+          blocks.push({ type: 'text', text: part.text });
+        }
+      } else if (part.functionCall) {
+        blocks.push({
+          type: 'tool_use',
+          id: part.functionCall.id || this.generateId('toolu_'),
+          name: part.functionCall.name,
+          input: part.functionCall.args || {}
+        });
+      }
+    }
+    return blocks;
+  }
+
+  // OpenAI响应message → Claude内容块
+  openaiMessageToClaudeResponseBlocks(message) {
+    const blocks = [];
+    const reasoning = this.openaiReasoningText(message);
+    if (reasoning) {
+      blocks.push({ type: 'thinking', thinking: reasoning, signature: '' });
+    }
+    if (message.content) {
+      blocks.push({ type: 'text', text: message.content });
+    }
+    for (const call of this.openaiToolCalls(message)) {
+      blocks.push({
+        type: 'tool_use',
+        id: call.id,
+        name: call.function.name,
+        input: this.parseToolArguments(call.function.arguments)
+      });
+    }
+    return blocks;
+  }
+
+  // ===== Embeddings转换 =====
+  // 只有OpenAI格式有embeddings接口；Anthropic没有对应的上游接口
+
+  // OpenAI /v1/embeddings → 上游请求体
+  convertEmbeddingsRequest(inputFormat, wire, body) {
+    if (inputFormat !== 'openai') {
+      throw new ConversionError('Embeddings are only available in OpenAI format: use /openai/{provider}/v1/embeddings');
+    }
+    if (typeof body.model !== 'string' || !body.model) {
+      throw new ConversionError('"model" is required');
+    }
+    if (wire === 'openai') return body;
+    if (wire !== 'gemini') {
+      throw new ConversionError(`The ${wire} API does not support embeddings`);
+    }
+
+    const inputs = Array.isArray(body.input) ? body.input : [body.input];
+    if (inputs.length === 0 || !inputs.every(input => typeof input === 'string')) {
+      throw new ConversionError('Gemini embeddings only accept "input" as a string or an array of strings; token arrays are not supported');
+    }
+    if (body.encoding_format !== undefined && !['float', 'base64'].includes(body.encoding_format)) {
+      throw new ConversionError(`Unsupported encoding_format: ${body.encoding_format}`);
+    }
+
+    const model = `models/${body.model.replace(/^models\//, '')}`;
+    return {
+      requests: inputs.map(text => this.compact({
+        model,
+        content: { parts: [{ text }] },
+        outputDimensionality: body.dimensions
+      }))
+    };
+  }
+
+  // 上游embeddings响应 → OpenAI格式；格式一致时原样返回
+  async convertEmbeddingsResponse(wire, response, originalRequest) {
+    if (wire === 'openai') return response;
+
+    const data = await response.json();
+    const asBase64 = originalRequest.encoding_format === 'base64';
+    const inputs = Array.isArray(originalRequest.input) ? originalRequest.input : [originalRequest.input];
+    // batchEmbedContents不返回用量，缺失时本地估算
+    const promptTokens = data.usageMetadata?.promptTokenCount ??
+      inputs.reduce((sum, text) => sum + estimateTextTokens(text), 0);
+
+    return this.jsonResponse({
+      object: 'list',
+      data: (data.embeddings || []).map((embedding, index) => ({
+        object: 'embedding',
+        index,
+        embedding: asBase64 ? this.floatsToBase64(embedding.values) : embedding.values
+      })),
+      model: originalRequest.model,
+      usage: { prompt_tokens: promptTokens, total_tokens: promptTokens }
+    }, response.status);
+  }
+
+  // 与OpenAI的base64编码一致：float32小端字节序
+  floatsToBase64(values) {
+    const bytes = new Uint8Array(new Float32Array(values).buffer);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
   }
 
-  generateId(prefix = 'msg_') {
-    return `${prefix}${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  // ===== count_tokens转换 =====
+  // Anthropic的/v1/messages/count_tokens：anthropic透传，gemini转为countTokens，openai本地估算
+
+  convertCountTokensRequest(inputFormat, wire, body) {
+    if (inputFormat !== 'claude') {
+      throw new ConversionError('count_tokens is only available in Claude format: use /claude/{provider}/v1/messages/count_tokens');
+    }
+    if (typeof body.model !== 'string' || !body.model) {
+      throw new ConversionError('"model" is required');
+    }
+    if (wire === 'anthropic') return body;
+    if (wire !== 'gemini') {
+      throw new ConversionError(`The ${wire} API has no token counting endpoint`);
+    }
+
+    // countTokens接受完整的generateContent请求，system和tools也会计入
+    const { generationConfig, ...request } = this.claudeToGeminiRequest(body);
+    return { generateContentRequest: { model: `models/${body.model.replace(/^models\//, '')}`, ...request } };
   }
 
-  // 统一入口：根据目标格式和Provider进行转换
-  async convertRequest(inputFormat, outputProvider, requestBody) {
-    // ... (省略未改变的请求转换逻辑)
+  // openai的结果是本地估算出来的，已经是Claude格式
+  async convertCountTokensResponse(wire, response) {
+    if (wire !== 'gemini') return response;
+    const data = await response.json();
+    return this.jsonResponse({ input_tokens: data.totalTokens ?? 0 }, response.status);
   }
 
-  async convertResponse(targetFormat, sourceProvider, response, originalRequest) {
-    const isStream = this.isStreamResponse(response, originalRequest);
-    
-    if (isStream) {
-      // 流式：通过TransformStream进行实时格式转换
-      const conversionStream = this.getConversionStream(targetFormat, sourceProvider, originalRequest.model);
-      const newBody = response.body.pipeThrough(conversionStream);
-      
-      return new Response(newBody, {
-        status: response.status,
-        headers: {
-          'Content-Type': 'text/event-stream',
-          'Cache-Control': 'no-cache',
-          'Connection': 'keep-alive',
+  // 按Claude请求体估算输入token数：system、消息内容、工具定义
+  estimateClaudeInputTokens(body) {
+    let tokens = estimateTextTokens(this.claudeSystemToText(body.system));
+    if (body.tools?.length) tokens += estimateTextTokens(JSON.stringify(body.tools));
+
+    for (const message of body.messages || []) {
+      tokens += MESSAGE_OVERHEAD_TOKENS;
+      for (const block of this.normalizeClaudeContent(message.content)) {
+        if (block.type === 'text') {
+          tokens += estimateTextTokens(block.text);
+        } else if (block.type === 'tool_use') {
+          tokens += estimateTextTokens(`${block.name}${JSON.stringify(block.input)}`);
+        } else if (block.type === 'tool_result') {
+          tokens += estimateTextTokens(this.claudeToolResultToText(block.content));
+          tokens += this.normalizeClaudeContent(block.content)
+            .filter(item => item.type === 'image').length * MEDIA_TOKEN_ESTIMATE;
+        } else if (block.type === 'image' || block.type === 'document') {
+          tokens += MEDIA_TOKEN_ESTIMATE;
         }
-      });
-    } else {
-      // 非流式：格式转换
-      const responseData = await response.json();
-      
-      if (targetFormat === 'claude') {
-        return this.convertToClaude(sourceProvider, responseData, response.status);
-      } else if (targetFormat === 'openai') {
-        return this.convertToOpenAI(sourceProvider, responseData, response.status, originalRequest);
       }
-      throw new Error(`Unsupported target format: ${targetFormat}`);
     }
+    return tokens + MESSAGE_OVERHEAD_TOKENS;
   }
 
-  // 获取转换流
-  getConversionStream(targetFormat, sourceProvider, model) {
-    // 如果源和目标格式一致，则直接透传
+  // ===== 错误转换 =====
+
+  // 上游错误 → 调用方格式的错误结构；格式一致时原样返回
+  async convertError(targetFormat, sourceProvider, response) {
     if ((targetFormat === 'openai' && sourceProvider === 'openai') ||
         (targetFormat === 'claude' && sourceProvider === 'anthropic')) {
-      return new TransformStream(); // Passthrough
-    }
-
-    // Gemini -> OpenAI 流转换
-    if (sourceProvider === 'gemini' && targetFormat === 'openai') {
-      return this.createGeminiToOpenAIStream(model);
-    }
-    
-    // Anthropic -> OpenAI 流转换
-    if (sourceProvider === 'anthropic' && targetFormat === 'openai') {
-        return this.createClaudeToOpenAIStream(model);
-    }
-
-    // Gemini -> Claude 流转换
-    if (sourceProvider === 'gemini' && targetFormat === 'claude') {
-      return this.createGeminiToClaudeStream();
+      return response;
     }
 
-    // OpenAI -> Claude 流转换
-    if (sourceProvider === 'openai' && targetFormat === 'claude') {
-      return this.createOpenAIToClaudeStream();
+    // Gemini: {error:{code,message,status}}（流式端点外面还包了一层数组）
+    // OpenAI: {error:{message,type,code}}  Anthropic: {type:'error',error:{type,message}}
+    const text = await response.text();
+    let message = text || response.statusText || `Upstream ${sourceProvider} error`;
+    try {
+      const data = JSON.parse(text);
+      const error = (Array.isArray(data) ? data[0] : data)?.error;
+      if (error?.message) message = error.message;
+    } catch (e) {
+      // 非JSON错误体，直接使用原始文本
     }
 
-    // 对于其他未实现的流式转换，抛出明确错误
-    throw new Error(`Stream conversion from ${sourceProvider} to ${targetFormat} is not supported.`);
+    const errorResponse = this.errorResponse(targetFormat, response.status, message);
+    const retryAfter = response.headers.get('retry-after');
+    if (retryAfter) errorResponse.headers.set('Retry-After', retryAfter);
+    return errorResponse;
   }
 
-  // 创建 OpenAI -> Claude 的转换流
-  createOpenAIToClaudeStream() {
-    let buffer = '';
-    return new TransformStream({
-      transform: (chunk, controller) => {
-        buffer += this.textDecoder.decode(chunk);
-        const lines = buffer.split('\n\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (!line.startsWith('data: ')) continue;
-          if (line.includes('[DONE]')) return;
-
-          try {
-            const openaiData = JSON.parse(line.substring(6));
-            const choice = openaiData.choices && openaiData.choices[0];
-            if (choice && choice.delta && choice.delta.content) {
-              const claudeChunk = {
-                type: 'content_block_delta',
-                index: 0,
-                delta: { type: 'text_delta', text: choice.delta.content }
-              };
-              controller.enqueue(`data: ${JSON.stringify(claudeChunk)}\n\n`);
-            }
-          } catch (e) {
-            console.error('Error parsing OpenAI stream chunk for Claude conversion:', e, line);
-          }
-        }
-      },
-      flush: (controller) => {
-        const stopChunk = {
-          type: 'message_delta',
-          delta: { stop_reason: 'end_turn', stop_sequence: null },
-          usage: { output_tokens: 0 }
-        };
-        const stopMessage = { type: 'message_stop' };
-        controller.enqueue(`data: ${JSON.stringify(stopChunk)}\n\n`);
-        controller.enqueue(`data: ${JSON.stringify(stopMessage)}\n\n`);
-      }
-    });
+  // 按调用方格式构建错误响应
+  errorResponse(targetFormat, status, message) {
+    const finalStatus = OVERLOADED_STATUS[targetFormat]?.[status] || status;
+    return this.jsonResponse(this.errorBody(targetFormat, finalStatus, message), finalStatus);
   }
 
-  // 创建 Gemini -> Claude 的转换流
-  createGeminiToClaudeStream() {
-    let buffer = '';
-    return new TransformStream({
-      transform: (chunk, controller) => {
-        buffer += this.textDecoder.decode(chunk);
-        const parts = buffer.split('\r\n\r\n');
-        buffer = parts.pop() || '';
-
-        for (const part of parts) {
-          if (!part.startsWith('data: ')) continue;
-          try {
-            const geminiData = JSON.parse(part.substring(6));
-            if (geminiData.candidates && geminiData.candidates[0].content.parts[0].text) {
-              const text = geminiData.candidates[0].content.parts[0].text;
-              
-              // 构建Claude格式的块
-              const claudeChunk = {
-                type: 'content_block_delta',
-                index: 0,
-                delta: {
-                  type: 'text_delta',
-                  text: text
-                }
-              };
-              controller.enqueue(`data: ${JSON.stringify(claudeChunk)}\n\n`);
-            }
-          } catch (e) {
-            console.error('Error parsing Gemini stream chunk for Claude conversion:', e, part);
-          }
-        }
-      },
-      flush: (controller) => {
-        // 模拟Anthropic的结束事件
-        const stopChunk = {
-          type: 'message_delta',
-          delta: { stop_reason: 'end_turn', stop_sequence: null },
-          usage: { output_tokens: 0 } // Usage data is not available from Gemini stream
-        };
-        const stopMessage = {
-          type: 'message_stop',
-        };
-        controller.enqueue(`data: ${JSON.stringify(stopChunk)}\n\n`);
-        controller.enqueue(`data: ${JSON.stringify(stopMessage)}\n\n`);
-      }
-    });
+  // 流式响应中途出错时的最后一个SSE事件，结构与errorResponse的响应体相同
+  streamErrorEvent(targetFormat, status, message) {
+    const finalStatus = OVERLOADED_STATUS[targetFormat]?.[status] || status;
+    const data = JSON.stringify(this.errorBody(targetFormat, finalStatus, message));
+    return targetFormat === 'claude' ? `event: error\ndata: ${data}\n\n` : `data: ${data}\n\n`;
   }
 
-  // 创建 Gemini -> OpenAI 的转换流
-  createGeminiToOpenAIStream(model) {
-    let buffer = '';
-    const completionId = this.generateId('chatcmpl-');
-    const created = Math.floor(Date.now() / 1000);
-
-    return new TransformStream({
-      transform: (chunk, controller) => {
-        buffer += this.textDecoder.decode(chunk);
-        
-        // Gemini的SSE以 `data: { ... }` 形式出现，并以\r\n\r\n分割
-        const parts = buffer.split('\r\n\r\n');
-        buffer = parts.pop() || ''; // 保留不完整的最后一个块
-
-        for (const part of parts) {
-          if (!part.startsWith('data: ')) continue;
-          
-          try {
-            const geminiData = JSON.parse(part.substring(6));
-            if (geminiData.candidates && geminiData.candidates[0].content.parts[0].text) {
-              const text = geminiData.candidates[0].content.parts[0].text;
-              
-              const openaiChunk = {
-                id: completionId,
-                object: 'chat.completion.chunk',
-                created: created,
-                model: model,
-                choices: [{
-                  index: 0,
-                  delta: { content: text },
-                  finish_reason: null
-                }]
-              };
-              controller.enqueue(`data: ${JSON.stringify(openaiChunk)}\n\n`);
-            }
-          } catch (e) {
-            console.error('Error parsing Gemini stream chunk:', e, part);
-          }
-        }
-      },
-      flush: (controller) => {
-        // 流结束时发送结束标志
-        const endChunk = {
-          id: completionId,
-          object: 'chat.completion.chunk',
-          created: created,
-          model: model,
-          choices: [{
-            index: 0,
-            delta: {},
-            finish_reason: 'stop'
-          }]
-        };
-        controller.enqueue(`data: ${JSON.stringify(endChunk)}\n\n`);
-        controller.enqueue('data: [DONE]\n\n');
-      }
-    });
+  errorBody(targetFormat, status, message) {
+    const errorType = ERROR_TYPES[status] || (status >= 500 ? ERROR_TYPES[500] : ERROR_TYPES[400]);
+    if (targetFormat === 'claude') {
+      return { type: 'error', error: { type: errorType.claude, message } };
+    }
+    return { error: { message, type: errorType.openai, param: null, code: errorType.code } };
   }
-    
-  // 创建 Claude -> OpenAI 的转换流
-  createClaudeToOpenAIStream(model) {
-    let buffer = '';
-    const completionId = this.generateId('chatcmpl-');
-    const created = Math.floor(Date.now() / 1000);
 
-    return new TransformStream({
-      transform: (chunk, controller) => {
-        buffer += this.textDecoder.decode(chunk, { stream: true });
-        const lines = buffer.split('\n');
-        buffer = lines.pop() || '';
-
-        for (const line of lines) {
-          if (!line.startsWith('data:')) continue;
-          
-          try {
-            const claudeData = JSON.parse(line.substring(6));
-            let openaiChunk = null;
-
-            if (claudeData.type === 'content_block_delta' && claudeData.delta.type === 'text_delta') {
-              openaiChunk = {
-                id: completionId,
-                object: 'chat.completion.chunk',
-                created: created,
-                model: model,
-                choices: [{
-                  index: 0,
-                  delta: { content: claudeData.delta.text },
-                  finish_reason: null
-                }]
-              };
-            } else if (claudeData.type === 'message_stop') {
-              openaiChunk = {
-                id: completionId,
-                object: 'chat.completion.chunk',
-                created: created,
-                model: model,
-                choices: [{
-                  index: 0,
-                  delta: {},
-                  finish_reason: 'stop'
-                }]
-              };
-            }
-
-            if (openaiChunk) {
-              controller.enqueue(`data: ${JSON.stringify(openaiChunk)}\n\n`);
-            }
-
-          } catch (e) {
-            console.error('Error parsing Claude stream chunk:', e, line);
-          }
-        }
-      },
-      flush: (controller) => {
-        controller.enqueue('data: [DONE]\n\n');
-      }
+  jsonResponse(data, status = 200) {
+    return new Response(JSON.stringify(data), {
+      status,
+      headers: { 'Content-Type': 'application/json' }
     });
   }
+}
 
-
-  // ... (省略未改变的非流式转换逻辑和请求转换逻辑)
-  // isStreamResponse, convertFromClaude, convertFromOpenAI, etc.
-  // convertToClaude, convertToOpenAI, and their helpers
+function estimateTextTokens(text) {
+  if (!text) return 0;
+  const cjk = (text.match(CJK_PATTERN) || []).length;
+  return cjk + Math.ceil((text.length - cjk) / CHARS_PER_TOKEN);
 }
 
 
 // ===== Main Handler =====
-const handler = // 主路由逻辑 - 遵循"好品味"原则的极简实现
+// 主路由逻辑 - 遵循"好品味"原则的极简实现
 
-// Provider URL映射
-const PROVIDER_URLS = {
-  'gemini': 'https://generativelanguage.googleapis.com/v1beta',
-  'openai': 'https://api.openai.com/v1',
-  'anthropic': 'https://api.anthropic.com/v1'
-};
-
-// 模型映射 - 遵循需求文档的双层结构
-const MODEL_MAPPING = {
-  // Claude格式输入的模型映射
-  'claude': {
-    'gemini': {
-      'gemini-2.5-pro': 'models/gemini-2.0-flash-exp',
-      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
-    },
-    'openai': {
-      'gpt-4o': 'gpt-4o',
-    },
-    'anthropic': {
-        'claude-3-5-sonnet-20240620': 'claude-3-5-sonnet-20240620',
-    }
-  },
-  // OpenAI格式输入的模型映射
-  'openai': {
-    'gemini': {
-      'gemini-pro': 'models/gemini-pro',
-      'gemini-2.5-flash': 'models/gemini-2.0-flash-exp',
-    },
-    'openai': {
-      'gpt-4o': 'gpt-4o',
-      'gpt-4o-mini': 'gpt-4o-mini',
-    },
-    'anthropic': {
-      'claude-3-sonnet': 'claude-3-5-sonnet-20240620',
-      'claude-3-haiku': 'claude-3-haiku-20240725'
-    }
-  }
-};
+// 响应头：实际完成请求的Provider与上游模型
+const PROVIDER_HEADER = 'X-Shadoway-Provider';
+const MODEL_HEADER = 'X-Shadoway-Model';
 
-{
+const handler = {
   async fetch(request, env, ctx) {
     // 初始化配置
     const config = {
       AUTH_TOKEN: env.AUTH_TOKEN || 'your-secure-token',
       DEBUG_MODE: env.DEBUG_MODE === 'true',
-      DEFAULT_PROVIDER: env.DEFAULT_PROVIDER || 'gemini'
+      DEFAULT_PROVIDER: env.DEFAULT_PROVIDER || 'gemini',
+      LIST_UPSTREAM_MODELS: env.LIST_UPSTREAM_MODELS === 'true'
     };
 
     try {
-      return await handleRequest(request, config);
+      return await handleRequest(request, config, env, ctx);
     } catch (error) {
+      // 客户端断开是正常情况：不记错误日志，响应也没人收
+      if (error instanceof ClientAbortError) {
+        if (config.DEBUG_MODE) console.log('[Proxy] Client disconnected');
+        return new Response(null, { status: error.status });
+      }
       console.error('Proxy error:', error);
-      return new Response(JSON.stringify({ 
-        error: error.message,
-        type: 'proxy_error'
-      }), {
-        status: 500,
-        headers: { 'Content-Type': 'application/json' }
-      });
+      // ConversionError等客户端错误自带status，其余视为网关内部错误
+      return new FormatConverter().errorResponse(detectFormat(request.url), error.status || 500, error.message);
     }
   }
 };
 
 // 核心处理函数 - 消除所有特殊情况的统一逻辑
-async function handleRequest(request, config) {
-  // 只支持POST请求
-  if (request.method !== 'POST') {
-    return new Response('Method not allowed', { status: 405 });
+async function handleRequest(request, config, env, ctx) {
+  // 管理接口：/{token}/admin/*
+  const url = new URL(request.url);
+  if (url.pathname.split('/').filter(Boolean)[1] === 'admin') {
+    return handleAdmin(request, url, config, env);
   }
 
+  // 加载Provider注册表（内置 + 配置中的自定义上游）
+  const providers = await loadProviders(env);
+
   // 解析URL：/{token}/{format}/{provider}/*
-  const { token, format, provider, endpoint, error } = parseUrl(request.url);
+  const { token, format, provider, endpoint, error } = parseUrl(request.url, providers);
   if (error) return error;
 
-  // 验证Token
-  if (token !== config.AUTH_TOKEN) {
-    return new Response('Unauthorized', { status: 401 });
+  const converter = new FormatConverter();
+
+  // 验证Token，并检查该Token能否访问这个格式和Provider（模型在解析请求体后检查）
+  const registry = await loadTokenRegistry(env, config);
+  const { tenant, error: authError } = registry.authenticate(token);
+  if (authError) {
+    return converter.errorResponse(format, 401, authError);
+  }
+  if (!tenant.allows('formats', format) || !tenant.allows('providers', provider)) {
+    return converter.errorResponse(format, 403, `Token "${tenant.name}" is not allowed to use ${format}/${provider}`);
+  }
+
+  // 模型列表：GET .../v1/models[/{id}]，SDK和IDE插件启动时会调用
+  const modelsRoute = endpointPath(endpoint).match(/^models(?:\/(.+))?$/);
+  if (request.method === 'GET' && modelsRoute) {
+    return listModels(request, format, provider, modelsRoute[1], tenant, providers, config, env);
   }
 
-  // 获取API Key
+  // 其余接口只支持POST请求
+  if (request.method !== 'POST') {
+    return converter.errorResponse(format, 405, `Method ${request.method} not allowed`);
+  }
+
+  // 获取API Key：配置了Key池的Provider使用服务端Key，客户端只需网关Token
+  const keyPools = loadKeyPools(env, Object.keys(providers));
   const apiKey = getApiKey(request.headers);
-  if (!apiKey) {
-    return new Response('Missing API key in x-api-key or authorization header', { status: 401 });
+  const needsKey = providers[provider].auth !== 'none' && !answeredLocally(endpointPath(endpoint), providers[provider].format);
+  if (!apiKey && !keyPools[provider] && needsKey) {
+    return converter.errorResponse(format, 401, 'Missing API key in x-api-key or authorization header');
+  }
+
+  // 加载模型映射（环境变量或KV，首次加载时校验）
+  config.modelMapper = await loadModelMapper(env, Object.keys(providers));
+  config.providers = providers;
+  config.timeouts = loadTimeouts(env);
+
+  // 降级链：主Provider在前，随后是该路由配置的备用Provider
+  const fallback = await loadFallbackConfig(env, Object.keys(providers));
+  config.retryPolicy = fallback.retry;
+  // Key的优先级：这一跳指定的secret > Provider的Key池 > 客户端Key（仅限同一Provider）
+  const credentials = (hopProvider, keyEnv) => {
+    if (keyEnv || keyPools[hopProvider]) tenant.assertTrusted('using server-held API keys (KEY_POOLS or fallback keyEnv)');
+    if (keyEnv) return { apiKey: env[keyEnv] };
+    if (keyPools[hopProvider]) return { keyPool: keyPools[hopProvider] };
+    return { apiKey: hopProvider === provider ? apiKey : undefined };
+  };
+  // Gemini安全设置按每一跳的路由解析，只对gemini上游生效
+  const safety = await loadSafetyPolicy(env, Object.keys(providers));
+  const chain = [
+    { provider, modelMapper: config.modelMapper, ...credentials(provider) },
+    ...(fallback.chains[`${format}/${provider}`] || []).map(hop => ({
+      provider: hop.provider,
+      modelMapper: hop.modelMapper || config.modelMapper,
+      ...credentials(hop.provider, hop.keyEnv)
+    }))
+  ].map(hop => ({ ...hop, safetySettings: safety.resolve(format, hop.provider, tenant.name) }));
+
+  // 解析请求体：body只能被读取一次，转发时使用克隆；格式错误的JSON属于客户端错误
+  const requestBody = await request.clone().json().catch(e => {
+    throw new ConversionError(`Invalid JSON body: ${e.message}`);
+  });
+  if (!tenant.allows('models', requestBody.model)) {
+    return converter.errorResponse(format, 403, `Token "${tenant.name}" is not allowed to use model ${requestBody.model}`);
+  }
+  // 降级链中超出Token范围的备用Provider直接跳过，主Provider已在上面检查过
+  const scopedChain = chain.filter(hop => {
+    const allowed = tenant.allowsRoute(format, hop.provider, requestBody.model);
+    if (!allowed) console.warn(`Skipping fallback provider ${hop.provider}: outside the scope of token "${tenant.name}"`);
+    return allowed;
+  });
+
+  // 按Token限流：超出限额直接返回429，不访问上游
+  if (tenant.limits && !env.RATE_LIMITER) {
+    throw new Error(`Token "${tenant.name}" has limits but the RATE_LIMITER Durable Object binding is missing`);
   }
+  const limiter = tenant.limits ? new RateLimitClient(env.RATE_LIMITER, tenant) : null;
+  const lease = limiter && await limiter.acquire(requestBody.stream === true);
+  if (lease && !lease.allowed) {
+    const message = `Rate limit exceeded for token "${tenant.name}": ${lease.limit}`;
+    return withHeaders(converter.errorResponse(format, 429, message), rateLimitHeaders(lease));
+  }
+
+  // 响应结束（或客户端断开）后归还流式租约、记入限额并写入用量记录
+  const usageStore = env.USAGE_DB ? new UsageStore(env.USAGE_DB) : null;
+  const startedAt = Date.now();
+  const complete = (response, usage) => {
+    if (limiter) {
+      ctx.waitUntil(limiter.complete(lease.leaseId, usage.inputTokens + usage.outputTokens)
+        .catch(e => console.error('Rate limiter update failed:', e)));
+    }
+    if (usageStore && response) {
+      ctx.waitUntil(usageStore.record({
+        tokenName: tenant.name,
+        format,
+        provider: response.headers.get(PROVIDER_HEADER) || provider,
+        // Gemini的上游模型名带models/前缀，去掉后才能和价格表、模型列表里的名称对上
+        model: (response.headers.get(MODEL_HEADER) || requestBody.model || 'unknown').replace(/^models\//, ''),
+        status: response.status,
+        stream: requestBody.stream === true,
+        ...usage,
+        latencyMs: Date.now() - startedAt
+      }).catch(e => console.error('Usage recording failed:', e)));
+    }
+  };
+
+  // OpenAI格式的流式用量只在最后一个usage chunk中：计量时总是向上游要，调用方没要的话由meterResponse去掉
+  const metering = Boolean(limiter || usageStore);
+  const hideUsage = metering && format === 'openai' && requestBody.stream === true &&
+    requestBody.stream_options?.include_usage !== true;
+  const forwardBody = hideUsage
+    ? { ...requestBody, stream_options: { ...requestBody.stream_options, include_usage: true } }
+    : requestBody;
 
   // 核心逻辑：统一的代理处理流程
-  return await proxyRequest(format, provider, endpoint, request, apiKey, config.DEBUG_MODE);
+  let response;
+  try {
+    response = await proxyRequest(format, endpoint, request, forwardBody, scopedChain, config);
+  } catch (error) {
+    complete(null, { inputTokens: 0, outputTokens: 0 });
+    throw error;
+  }
+  if (!metering) return response;
+
+  const metered = meterResponse(response, format, usage => complete(response, usage), { hideUsage });
+  return lease ? withHeaders(metered, rateLimitHeaders(lease)) : metered;
+}
+
+// 模型列表：映射表中的别名 + （可选）上游实时列表，只列出该Token允许使用的模型
+async function listModels(request, format, provider, modelId, tenant, providers, config, env) {
+  const converter = new FormatConverter();
+  const mapper = await loadModelMapper(env, Object.keys(providers));
+  const models = mapper.aliases(format, provider).map(id => ({ id, created: 0 }));
+
+  if (config.LIST_UPSTREAM_MODELS) {
+    const keyPool = loadKeyPools(env, Object.keys(providers))[provider];
+    if (keyPool) tenant.assertTrusted('using server-held API keys (KEY_POOLS)');
+    const apiKey = keyPool ? keyPool.acquire() : getApiKey(request.headers);
+    const deadline = new RequestDeadline({ ...loadTimeouts(env), ...providers[provider].timeouts }, request.signal);
+    deadline.start('firstByteMs');
+    try {
+      const transport = new SocketTransport(config.DEBUG_MODE);
+      const upstream = await fetchUpstreamModels(transport, request, providers[provider], apiKey, deadline);
+      // 只列出按原名转发的上游模型；被通配符规则改写的名字对调用方没有意义
+      const listed = new Set(models.map(model => model.id));
+      for (const model of upstream) {
+        const resolved = mapper.resolve(format, provider, model.id)?.replace(/^models\//, '');
+        if (resolved === model.id && !listed.has(model.id)) models.push(model);
+      }
+    } catch (error) {
+      console.warn(`Listing ${provider} models failed, returning aliases only:`, deadline.reasonFor(error));
+    } finally {
+      deadline.dispose();
+    }
+  }
+
+  const allowed = models.filter(model => tenant.allows('models', model.id));
+  if (modelId === undefined) {
+    return converter.jsonResponse(formatModelList(format, provider, allowed));
+  }
+  const model = allowed.find(model => model.id === modelId);
+  return model
+    ? converter.jsonResponse(formatModel(format, provider, model))
+    : converter.errorResponse(format, 404, `Model not found: ${modelId}`);
+}
+
+// 管理接口：
+//   GET /{token}/admin/usage - 用量报表，管理员Token可以查看全部Token，其他Token只能看到自己的用量
+//   GET /{token}/admin/headers?provider=gemini - 本次请求的请求头经过滤后实际会发给上游的样子，仅限管理员Token
+async function handleAdmin(request, url, config, env) {
+  const converter = new FormatConverter();
+  const [token, , resource] = url.pathname.split('/').filter(Boolean);
+
+  const registry = await loadTokenRegistry(env, config);
+  const { tenant, error } = registry.authenticate(token);
+  if (error) return converter.errorResponse('openai', 401, error);
+  tenant.assertTrusted('using the admin endpoints');
+
+  if (request.method !== 'GET') {
+    return converter.errorResponse('openai', 405, `Method ${request.method} not allowed`);
+  }
+  if (resource === 'usage') return usageReport(url, tenant, env);
+  if (resource === 'headers') return inspectUpstreamHeaders(request, url, tenant, config, env);
+  return converter.errorResponse('openai', 404, `Unknown admin endpoint: ${resource || ''}`);
+}
+
+async function usageReport(url, tenant, env) {
+  const converter = new FormatConverter();
+  if (!env.USAGE_DB) {
+    return converter.errorResponse('openai', 404, 'Usage accounting is disabled: bind a D1 database as USAGE_DB');
+  }
+
+  const query = parseUsageQuery(url.searchParams);
+  if (query.error) return converter.errorResponse('openai', 400, query.error);
+
+  const requested = url.searchParams.get('token');
+  if (requested && !tenant.admin && requested !== tenant.name) {
+    return converter.errorResponse('openai', 403, `Token "${tenant.name}" can only read its own usage`);
+  }
+  const tokenName = tenant.admin ? requested : tenant.name;
+
+  const prices = await loadPriceTable(env);
+  const report = await new UsageStore(env.USAGE_DB).report({ ...query, tokenName }, prices);
+  return converter.jsonResponse(report);
+}
+
+// 与转发时同一套过滤逻辑，上游认证头只显示Key的末尾几位
+async function inspectUpstreamHeaders(request, url, tenant, config, env) {
+  const converter = new FormatConverter();
+  if (!tenant.admin) {
+    return converter.errorResponse('openai', 403, `Token "${tenant.name}" is not an admin token`);
+  }
+  const providers = await loadProviders(env);
+  const provider = url.searchParams.get('provider') || config.DEFAULT_PROVIDER;
+  const providerConfig = providers[provider];
+  if (!providerConfig) {
+    return converter.errorResponse('openai', 404, `Unknown provider: ${provider}`);
+  }
+
+  const keyPool = loadKeyPools(env, Object.keys(providers))[provider];
+  const apiKey = keyPool ? keyPool.acquire() : getApiKey(request.headers);
+  const headers = new SocketTransport(config.DEBUG_MODE).buildCleanHeaders(request.headers, providerConfig, apiKey);
+  const shown = Object.fromEntries(headers);
+  const scheme = AUTH_SCHEMES[providerConfig.auth];
+  if (scheme && apiKey) {
+    shown[scheme.header.toLowerCase()] = `${scheme.prefix}${maskKey(apiKey)}`;
+  }
+
+  return converter.jsonResponse({
+    provider,
+    transport: providerConfig.transport || (providerConfig.proxy ? 'socket' : 'fetch'),
+    // 代理地址去掉认证信息
+    proxy: [].concat(providerConfig.proxy || []).map(proxy => {
+      const { protocol, host } = new URL(proxy);
+      return `${protocol}//${host}`;
+    }),
+    headers: shown,
+    // 凭据头总是由网关按Provider重新生成，即使同名同值也不是转发的客户端请求头
+    dropped: [...request.headers]
+      .filter(([name, value]) => CREDENTIAL_HEADERS.includes(name) || headers.get(name) !== value)
+      .map(([name]) => name)
+  });
 }
 
-// URL解析 - 消除特殊情况的统一解析
-function parseUrl(url) {
+// URL解析 - 消除特殊情况的统一解析，错误按URL中的调用方格式返回
+function parseUrl(url, providers) {
   const urlObj = new URL(url);
   const parts = urlObj.pathname.split('/').filter(Boolean);
+  const invalid = message => ({ error: new FormatConverter().errorResponse(detectFormat(url), 400, message) });
   
   if (parts.length < 3) {
-    return { error: new Response('Invalid URL format. Expected: /{token}/{format}/{provider}/*', { status: 400 }) };
+    return invalid('Invalid URL format. Expected: /{token}/{format}/{provider}/*');
   }
 
   const [token, format, provider, ...endpointParts] = parts;
   
   // 验证格式
   if (!['claude', 'openai'].includes(format)) {
-    return { error: new Response('Invalid format. Must be "claude" or "openai"', { status: 400 }) };
+    return invalid('Invalid format. Must be "claude" or "openai"');
   }
 
   // 验证Provider
-  if (!PROVIDER_URLS[provider]) {
-    return { error: new Response(`Unsupported provider: ${provider}. Supported: ${Object.keys(PROVIDER_URLS).join(', ')}`, { status: 400 }) };
+  if (!Object.prototype.hasOwnProperty.call(providers, provider)) {
+    return invalid(`Unsupported provider: ${provider}. Supported: ${Object.keys(providers).join(', ')}`);
   }
 
   const endpoint = endpointParts.join('/') + urlObj.search;
@@ -489,6 +4043,12 @@ function parseUrl(url) {
   return { token, format, provider, endpoint };
 }
 
+// 从URL中取出调用方格式，用于在请求解析失败时也能返回对应格式的错误
+function detectFormat(url) {
+  const format = new URL(url).pathname.split('/').filter(Boolean)[1];
+  return format === 'claude' ? 'claude' : 'openai';
+}
+
 // 获取API Key - 统一处理
 function getApiKey(headers) {
   return headers.get('x-api-key') || 
@@ -497,29 +4057,110 @@ function getApiKey(headers) {
 }
 
 // 核心代理函数 - 这里是"好品味"的体现：无特殊情况
-async function proxyRequest(format, provider, endpoint, request, apiKey, debug) {
-  const transport = new SocketTransport(debug);
+// 每个上游都走同一套流程，重试与降级只是对这套流程的循环
+async function proxyRequest(format, endpoint, request, requestBody, chain, config) {
   const converter = new FormatConverter();
+  const policy = config.retryPolicy;
+  const path = endpointPath(endpoint);
 
-  // 1. 解析请求体
-  // 为了支流式请求，我们需要克隆请求，因为body只能被读取一次
-  const requestBody = await request.clone().json();
-  
-  // 2. 模型名称映射（使用新的双层结构）
-  let finalModel = requestBody.model;
-  if (requestBody.model && MODEL_MAPPING[format] && MODEL_MAPPING[format][provider] && MODEL_MAPPING[format][provider][requestBody.model]) {
-    finalModel = MODEL_MAPPING[format][provider][requestBody.model];
-    requestBody.model = finalModel; // 更新模型名称用于后续转换
+  let lastFailure = null;
+  for (const hop of chain) {
+    const providerConfig = config.providers[hop.provider];
+    if (!hop.apiKey && !hop.keyPool && providerConfig.auth !== 'none' && !answeredLocally(path, providerConfig.format)) {
+      console.warn(`Skipping fallback provider ${hop.provider}: no API key configured`);
+      continue;
+    }
+
+    for (let attempt = 0; ; attempt++) {
+      const result = await callProvider(format, endpoint, request, requestBody, hop, config);
+      const { response, wire, deadline } = result;
+      // 客户端已断开：不再重试，也不必切换上游
+      if (result.error instanceof ClientAbortError) throw result.error;
+
+      // Key池中的Key失效，或被限流而池中还有可用的Key时，换一个Key立即重试
+      const keyRejected = hop.keyPool && response && ([401, 403].includes(response.status) ||
+        (response.status === 429 && hop.keyPool.hasHealthyKey()));
+
+      // 成功，或者是换上游也无法解决的错误（400/401等），直接返回
+      if (response && (response.ok || (!isRetryableStatus(response.status) && !keyRejected))) {
+        let finalResponse;
+        try {
+          finalResponse = response.ok
+            // 8. 响应转换：Provider格式 → 目标格式（传递原始请求体用于流式检测）
+            ? await convertSuccess(converter, path, format, wire, response, requestBody)
+            // 7. 错误处理：转换为调用方API格式的错误结构
+            : await converter.convertError(format, wire, response);
+        } catch (error) {
+          // 读取响应体时超时：报告超时而不是底层的读取错误
+          throw deadline ? deadline.reasonFor(error) : error;
+        }
+        // 流式响应体还在传输，由看门狗负责空闲超时和客户端断开；其余响应此时已经读完
+        if ((finalResponse.headers.get('content-type') || '').includes('text/event-stream') && deadline) {
+          finalResponse = guardStream(finalResponse, deadline,
+            error => converter.streamErrorEvent(format, error.status || 500, error.message));
+        } else {
+          deadline?.dispose();
+        }
+        return withHeaders(finalResponse, { [PROVIDER_HEADER]: hop.provider, [MODEL_HEADER]: result.model });
+      }
+
+      deadline?.dispose();
+      if (lastFailure?.response) await lastFailure.response.body?.cancel();
+      lastFailure = { ...result, provider: hop.provider };
+      if (attempt >= policy.maxRetries) break;
+
+      const delay = keyRejected ? 0 : retryDelay(attempt, response?.headers.get('retry-after'), policy);
+      if (delay === null) break; // Retry-After太长，直接切换下一个上游
+      console.warn(`Retrying ${hop.provider} in ${delay}ms (attempt ${attempt + 1}): ${response ? response.status : result.error.message}`);
+      await sleep(delay);
+    }
   }
-  
-  // 3. 格式转换：输入格式 → Provider格式
-  const providerRequest = await converter.convertRequest(format, provider, requestBody);
-  
+
+  // 所有上游都失败：返回最后一次失败的结果
+  if (!lastFailure) {
+    throw new Error('No provider in the fallback chain has an API key configured');
+  }
+  if (!lastFailure.response) throw lastFailure.error;
+  const errorResponse = await converter.convertError(format, lastFailure.wire, lastFailure.response);
+  return withHeaders(errorResponse, { [PROVIDER_HEADER]: lastFailure.provider, [MODEL_HEADER]: lastFailure.model });
+}
+
+// 向单个上游发送一次请求，网络错误作为结果返回而不是抛出，便于重试
+async function callProvider(format, endpoint, request, requestBody, hop, config) {
+  const transport = new SocketTransport(config.DEBUG_MODE);
+  const converter = new FormatConverter();
+  // 转换逻辑只关心上游的wire格式，自定义Provider复用内置的三种转换
+  const providerConfig = config.providers[hop.provider];
+  const wire = providerConfig.format;
+
+  // 2. 模型名称映射（精确名称 → 通配符 → 默认值）
+  const finalModel = hop.modelMapper.resolve(format, hop.provider, requestBody.model);
+  const providerBody = { ...requestBody, model: finalModel };
+
+  // 3. 格式转换：输入格式 → Provider格式（embeddings和count_tokens有各自的请求结构）
+  const path = endpointPath(endpoint);
+  if (answeredLocally(path, wire)) {
+    // OpenAI没有计数接口，直接在本地估算，不访问上游
+    const inputTokens = converter.estimateClaudeInputTokens(providerBody);
+    return { response: converter.jsonResponse({ input_tokens: inputTokens }), wire, model: finalModel };
+  }
+  let providerRequest;
+  if (path === 'embeddings') {
+    providerRequest = converter.convertEmbeddingsRequest(format, wire, providerBody);
+  } else if (path === 'messages/count_tokens') {
+    providerRequest = converter.convertCountTokensRequest(format, wire, providerBody);
+  } else {
+    providerRequest = await converter.convertRequest(format, wire, providerBody);
+    if (wire === 'gemini' && hop.safetySettings) {
+      providerRequest.safetySettings = hop.safetySettings;
+    }
+  }
+
   // 4. 构建目标URL (现在需要传入isStream标志)
   const isStream = requestBody.stream === true;
-  const finalEndpoint = buildEndpoint(format, provider, endpoint, finalModel, isStream);
-  const targetUrl = `${PROVIDER_URLS[provider]}/${finalEndpoint}`;
-  
+  const finalEndpoint = buildEndpoint(wire, endpoint, finalModel, isStream);
+  const targetUrl = buildProviderUrl(providerConfig, finalEndpoint, finalModel);
+
   // 5. 创建代理请求
   // 注意：body现在需要被stringify，因为providerRequest是JS对象
   const proxyReq = new Request(targetUrl, {
@@ -527,50 +4168,111 @@ async function proxyRequest(format, provider, endpoint, request, apiKey, debug)
     headers: request.headers, // headers将在transport层被清理
     body: JSON.stringify(providerRequest)
   });
-  
-  // 6. Socket传输（隐私保护）
-  // 注意：现在我们传递的是新构建的proxyReq，而不是原始request
-  const providerResponse = await transport.fetch(targetUrl, proxyReq, apiKey);
-  
-  // 7. 错误理
-  if (!providerResponse.ok) {
-    return providerResponse; // 直接返回错误响应
+
+  // 6. Socket传输（隐私保护），超时与客户端断开都会中止这次请求
+  const apiKey = hop.keyPool ? hop.keyPool.acquire() : hop.apiKey;
+  const deadline = new RequestDeadline({ ...config.timeouts, ...providerConfig.timeouts }, request.signal);
+  const stopFirstByte = deadline.start('firstByteMs');
+  try {
+    const response = await transport.fetch(targetUrl, proxyReq, apiKey, providerConfig, deadline);
+    hop.keyPool?.report(apiKey, response.status, parseRetryAfter(response.headers.get('retry-after')));
+    // 流式响应要等到第一个chunk，这之前的失败仍然可以重试
+    const ready = response.ok && isStream ? await awaitFirstChunk(response, deadline) : response;
+    stopFirstByte();
+    return { response: ready, deadline, wire, model: finalModel };
+  } catch (error) {
+    deadline.abort(deadline.reasonFor(error));
+    return { error: deadline.reasonFor(error), wire, model: finalModel };
   }
-  
-  // 8. 响应转换：Provider格式 → 目标格式（传递原始请求体用于流式检测）
-  return await converter.convertResponse(format, provider, providerResponse, requestBody);
 }
 
-// 构建目标端点URL - 修复了Gemini路径重写BUG，增强了路径透传能力
-function buildEndpoint(format, provider, endpoint, model, isStream) {
-  // 规则映射表，用于需要特殊处理的端点
+// 不访问上游、由网关直接回答的请求，也就不需要上游API Key
+function answeredLocally(path, wire) {
+  return path === 'messages/count_tokens' && wire === 'openai';
+}
+
+// 上游成功响应 → 调用方格式，按端点选择对应的转换
+function convertSuccess(converter, path, format, wire, response, requestBody) {
+  if (path === 'embeddings') return converter.convertEmbeddingsResponse(wire, response, requestBody);
+  if (path === 'messages/count_tokens') return converter.convertCountTokensResponse(wire, response);
+  return converter.convertResponse(format, wire, response, requestBody);
+}
+
+// 读出第一个chunk再原样拼回响应体；一旦把响应交给客户端就不再重试
+async function awaitFirstChunk(response, deadline) {
+  const reader = response.body.getReader();
+  const first = await Promise.race([reader.read(), whenAborted(deadline.signal)]);
+  const body = new ReadableStream({
+    start(controller) {
+      if (first.done) controller.close();
+      else controller.enqueue(first.value);
+    },
+    async pull(controller) {
+      const { done, value } = await reader.read();
+      if (done) controller.close();
+      else controller.enqueue(value);
+    },
+    cancel(reason) {
+      return reader.cancel(reason);
+    }
+  });
+  return new Response(body, response);
+}
+
+// fetch返回的响应头不可修改，重新包装后再附加额外的响应头
+function withHeaders(response, headers) {
+  const wrapped = new Response(response.body, response);
+  for (const [name, value] of Object.entries(headers)) {
+    wrapped.headers.set(name, value);
+  }
+  return wrapped;
+}
+
+// 构建目标端点 - 对话端点按上游wire格式改写，其余路径透传
+function buildEndpoint(wire, endpoint, model, isStream) {
+  const path = endpointPath(endpoint);
+  const query = endpoint.split('?')[1];
+  // 映射表中的Gemini模型名可能已带models/前缀
+  const geminiModel = `models/${(model || '').replace(/^models\//, '')}`;
+  const generateAction = isStream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+
+  // 规则映射表：客户端路径 → 各wire格式的上游端点
   const endpointRules = {
     'gemini': {
-      'chat/completions': { action: isStream ? 'streamGenerateContent' : 'generateContent', needsModel: true },
-      'messages': { action: isStream ? 'streamGenerateContent' : 'generateContent', needsModel: true },
-      'embedContent': { action: 'embedContent', needsModel: true },
-      'embedText': { action: 'embedText', needsModel: true }, // 兼容旧版
+      // 流式接口必须带alt=sse，否则Gemini返回的是JSON数组而不是SSE
+      'chat/completions': `${geminiModel}:${generateAction}`,
+      'messages': `${geminiModel}:${generateAction}`,
+      'embedContent': `${geminiModel}:embedContent`,
+      'embedText': `${geminiModel}:embedText`, // 兼容旧版
+      'embeddings': `${geminiModel}:batchEmbedContents`,
+      'messages/count_tokens': `${geminiModel}:countTokens`,
+    },
+    'openai': {
+      'chat/completions': 'chat/completions',
+      'messages': 'chat/completions'
+    },
+    'anthropic': {
+      'chat/completions': 'messages',
+      'messages': 'messages'
     }
   };
 
-  const rules = endpointRules[provider];
-  if (rules) {
-    for (const pathSuffix in rules) {
-      if (endpoint.endsWith(pathSuffix)) {
-        const rule = rules[pathSuffix];
-        // 保留原始路径前缀，只替换或附加必要部分
-        const basePath = endpoint.substring(0, endpoint.length - pathSuffix.length);
-        const modelPath = rule.needsModel ? `models/${model}` : '';
-        return `${basePath}${modelPath}:${rule.action}`;
-      }
-    }
-  }
+  // 改写后的端点不转发客户端查询参数（如Anthropic SDK的?beta=true）
+  const rewritten = endpointRules[wire][path];
+  if (rewritten) return rewritten;
 
-  // 默认情况下，对有provider都进行更健壮的路径透传
-  // 例如支持 /v1/embeddings 等API
-  return endpoint;
+  // 其他端点透传，例如OpenAI上游的 /v1/embeddings
+  return query ? `${path}?${query}` : path;
 }
-;
+
+// 客户端路径去掉查询参数，以及与Provider的baseUrl重复的版本前缀
+function endpointPath(endpoint) {
+  return endpoint.split('?')[0].replace(/^v1(beta)?\//, '');
+}
+
 
 // ===== Worker Export =====
 export default handler;
+
+// Durable Object类必须从入口模块导出，wrangler.toml中的绑定按类名引用
+export { RateLimiter };